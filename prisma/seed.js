@@ -1,5 +1,7 @@
 // Script pour initialiser la base de données avec les plans et données de test
 import { PrismaClient } from '@prisma/client';
+import { generateId } from '../src/utils/helpers.js';
+import { PLAN_ENTITLEMENTS } from '../src/middleware/features.js';
 
 const prisma = new PrismaClient();
 
@@ -16,6 +18,7 @@ async function main() {
       price: 0,
       requestsLimit: 100,
       rateLimit: 10,
+      entitlements: JSON.stringify(PLAN_ENTITLEMENTS.free),
       features: JSON.stringify([
         '100 requêtes/mois',
         'Données de base',
@@ -28,6 +31,7 @@ async function main() {
       price: 9,
       requestsLimit: 5000,
       rateLimit: 30,
+      entitlements: JSON.stringify(PLAN_ENTITLEMENTS.starter),
       features: JSON.stringify([
         '5 000 requêtes/mois',
         'Toutes les données',
@@ -41,6 +45,7 @@ async function main() {
       price: 49,
       requestsLimit: 50000,
       rateLimit: 100,
+      entitlements: JSON.stringify(PLAN_ENTITLEMENTS.pro),
       features: JSON.stringify([
         '50 000 requêtes/mois',
         'Toutes les données',
@@ -56,6 +61,7 @@ async function main() {
       price: 199,
       requestsLimit: 500000,
       rateLimit: 300,
+      entitlements: JSON.stringify(PLAN_ENTITLEMENTS.business),
       features: JSON.stringify([
         '500 000 requêtes/mois',
         'Toutes les fonctionnalités',
@@ -197,7 +203,7 @@ async function main() {
     await prisma.property.upsert({
       where: { externalId: property.externalId },
       update: property,
-      create: property
+      create: { ...property, groupId: generateId('grp') }
     });
   }
   console.log(`  ✅ ${demoProperties.length} propriétés de démonstration créées`);
@@ -0,0 +1,47 @@
+// Script ponctuel: renseigner Plan.entitlements sur les plans existants
+// À lancer après `prisma db push` (la colonne est créée vide: "[]")
+// Seuls les plans connus (PLAN_ENTITLEMENTS) encore vides sont modifiés: aucune autre donnée n'est touchée
+// Usage: npm run plans:entitlements
+import 'dotenv/config';
+import { PrismaClient } from '@prisma/client';
+import { PLAN_ENTITLEMENTS, getPlanEntitlements } from '../src/middleware/features.js';
+
+const prisma = new PrismaClient();
+
+async function main() {
+  console.log('📋 Fonctionnalités des plans existants...\n');
+
+  const plans = await prisma.plan.findMany({ select: { id: true, name: true, entitlements: true } });
+  let updated = 0;
+
+  for (const plan of plans) {
+    const entitlements = PLAN_ENTITLEMENTS[plan.name];
+
+    if (!entitlements) {
+      console.log(`  ⏭️  ${plan.name}: plan personnalisé, inchangé`);
+      continue;
+    }
+    if (getPlanEntitlements(plan).length > 0) {
+      console.log(`  ⏭️  ${plan.name}: déjà renseigné (${plan.entitlements})`);
+      continue;
+    }
+    if (entitlements.length === 0) continue;
+
+    await prisma.plan.update({
+      where: { id: plan.id },
+      data: { entitlements: JSON.stringify(entitlements) }
+    });
+    updated++;
+    console.log(`  ✅ ${plan.name}: ${entitlements.join(', ')}`);
+  }
+
+  console.log(`\n✨ ${updated} plan(s) mis à jour.\n`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((e) => {
+    console.error('❌ Erreur:', e);
+    process.exit(1);
+  })
+  .finally(() => prisma.$disconnect());
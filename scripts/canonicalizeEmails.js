@@ -0,0 +1,51 @@
+// Script ponctuel: renseigner l'email normalisé des comptes créés avant la détection des doublons
+// À lancer après `prisma db push`
+// Usage: npm run users:canonicalize
+import { PrismaClient } from '@prisma/client';
+import { canonicalizeEmail } from '../src/services/registrationGuard.js';
+
+const prisma = new PrismaClient();
+
+const BATCH_SIZE = 200;
+
+async function main() {
+  console.log('📧 Normalisation des emails existants...\n');
+
+  let updated = 0;
+
+  while (true) {
+    const users = await prisma.user.findMany({
+      where: { canonicalEmail: null },
+      select: { id: true, email: true },
+      take: BATCH_SIZE
+    });
+    if (users.length === 0) break;
+
+    await prisma.$transaction(users.map(({ id, email }) => prisma.user.update({
+      where: { id },
+      data: { canonicalEmail: canonicalizeEmail(email) }
+    })));
+
+    updated += users.length;
+    console.log(`  ✅ ${updated} comptes traités`);
+  }
+
+  // Comptes existants partageant la même adresse normalisée (non fusionnés)
+  const duplicates = await prisma.user.groupBy({
+    by: ['canonicalEmail'],
+    _count: { _all: true },
+    having: { canonicalEmail: { _count: { gt: 1 } } }
+  });
+
+  console.log(`\n✨ ${updated} emails normalisés, ${duplicates.length} adresse(s) partagée(s) par plusieurs comptes.`);
+  duplicates.forEach(group => console.log(`   ⚠️ ${group.canonicalEmail}: ${group._count._all} comptes`));
+  console.log('');
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((e) => {
+    console.error('❌ Erreur:', e);
+    process.exit(1);
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,160 @@
+// Vérifier la politique de crawl contre un serveur local (robots.txt simulé)
+// Aucun accès réseau externe: le serveur écoute sur 127.0.0.1 avec un port libre
+// Usage: npm run crawl:check
+import assert from 'assert/strict';
+import http from 'http';
+import axios from 'axios';
+import { CrawlPolicy, CrawlPolicyError, attachCrawlPolicy } from '../src/services/crawlPolicy.js';
+
+const ROBOTS_TXT = [
+  'User-agent: *',
+  'Disallow: /',
+  '',
+  'User-agent: ImmoScraperAPI',
+  'Disallow: /private',
+  'Allow: /private/public',
+  'Disallow: /*.pdf$',
+  'Crawl-delay: 0.2'
+].join('\n');
+
+// Réponse du serveur pour /robots.txt, modifiée par chaque scénario
+let robots = { status: 200, body: ROBOTS_TXT };
+let robotsHits = 0;
+
+/**
+ * Démarrer le serveur simulé
+ */
+function startServer() {
+  const server = http.createServer((req, res) => {
+    if (req.url === '/robots.txt') {
+      robotsHits++;
+      res.writeHead(robots.status, { 'Content-Type': 'text/plain' });
+      res.end(robots.body || '');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('ok');
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+/**
+ * Une URL est-elle autorisée ?
+ */
+async function isAllowed(policy, url) {
+  try {
+    await policy.check(url);
+    return true;
+  } catch (error) {
+    if (error instanceof CrawlPolicyError) return false;
+    throw error;
+  }
+}
+
+/**
+ * Nouvelle politique de test (délais courts)
+ */
+function createPolicy(options = {}) {
+  return new CrawlPolicy({
+    userAgent: 'ImmoScraperAPI/1.0',
+    defaultDelayMs: 0,
+    robotsFailureTtlMs: 200,
+    ...options
+  });
+}
+
+const checks = [
+  ['règles du groupe de notre agent', async origin => {
+    robots = { status: 200, body: ROBOTS_TXT };
+    const policy = createPolicy();
+
+    assert.equal(await isAllowed(policy, `${origin}/annonces?page=2`), true);
+    assert.equal(await isAllowed(policy, `${origin}/private/compte`), false);
+    assert.equal(await isAllowed(policy, `${origin}/private/public/liste`), true);
+    assert.equal(await isAllowed(policy, `${origin}/docs/bail.pdf`), false);
+    assert.equal((await policy.check(`${origin}/`)).crawlDelay, 0.2);
+  }],
+
+  ['robots.txt en cache', async origin => {
+    robots = { status: 200, body: ROBOTS_TXT };
+    const policy = createPolicy();
+    robotsHits = 0;
+
+    await Promise.all([policy.check(`${origin}/a`), policy.check(`${origin}/b`)]);
+    await policy.check(`${origin}/c`);
+    assert.equal(robotsHits, 1);
+  }],
+
+  ['robots.txt absent (404): aucune restriction', async origin => {
+    robots = { status: 404, body: 'Not found' };
+    const policy = createPolicy();
+
+    assert.equal(await isAllowed(policy, `${origin}/private/compte`), true);
+  }],
+
+  ['erreur serveur (503): tout interdit, puis nouvel essai après ROBOTS_FAILURE_TTL_MS', async origin => {
+    robots = { status: 503, body: 'Unavailable' };
+    const policy = createPolicy();
+
+    assert.equal(await isAllowed(policy, `${origin}/annonces`), false);
+
+    robots = { status: 200, body: ROBOTS_TXT };
+    assert.equal(await isAllowed(policy, `${origin}/annonces`), false, 'échec encore en cache');
+
+    await new Promise(resolve => setTimeout(resolve, 250));
+    assert.equal(await isAllowed(policy, `${origin}/annonces`), true);
+  }],
+
+  ['hôte injoignable: tout interdit, échec en cache court', async () => {
+    const policy = createPolicy();
+    const origin = 'http://127.0.0.1:9';
+
+    assert.equal(await isAllowed(policy, `${origin}/annonces`), false);
+    assert.equal(policy.robotsCache.get(origin).ttlMs, 200);
+  }],
+
+  ['Crawl-delay appliqué entre deux requêtes du client', async origin => {
+    robots = { status: 200, body: ROBOTS_TXT };
+    const client = attachCrawlPolicy(axios.create({ baseURL: origin }), createPolicy());
+
+    const start = Date.now();
+    await client.get('/annonces/1');
+    await client.get('/annonces/2');
+    assert.ok(Date.now() - start >= 180, 'le second appel attend le Crawl-delay');
+
+    await assert.rejects(client.get('/private/compte'), CrawlPolicyError);
+  }]
+];
+
+async function main() {
+  console.log('🤖 Vérification de la politique de crawl...\n');
+
+  const server = await startServer();
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  let failed = 0;
+
+  for (const [name, check] of checks) {
+    try {
+      await check(origin);
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`  ❌ ${name}: ${error.message}`);
+    }
+  }
+
+  server.close();
+
+  console.log(failed ? `\n❌ ${failed} vérification(s) en échec\n` : '\n✨ Politique de crawl conforme\n');
+  return failed;
+}
+
+main()
+  .then(failed => process.exit(failed ? 1 : 0))
+  .catch((e) => {
+    console.error('❌ Erreur:', e);
+    process.exit(1);
+  });
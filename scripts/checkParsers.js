@@ -0,0 +1,93 @@
+// Vérifier les parsers français et l'extracteur HTML sur les pages de scripts/fixtures/html
+// Chaque page <nom>.html est comparée au résultat attendu <nom>.expected.json
+// Usage: npm run parsers:check
+import assert from 'assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { extractListings, extractDetails } from '../src/services/parsers/extractor.js';
+import {
+  parsePriceDetails,
+  parseSurfaceDetails,
+  parseRooms,
+  parseBedrooms,
+  parseEnergyClass,
+  parseFloor,
+  parseYearBuilt
+} from '../src/services/parsers/frenchParsers.js';
+import { selectors, BASE_URL } from './fixtures/html/selectors.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'html');
+
+/**
+ * Lire une page de test et son résultat attendu
+ */
+function loadFixture(name) {
+  return {
+    html: fs.readFileSync(path.join(FIXTURES_DIR, `${name}.html`), 'utf8'),
+    expected: JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.expected.json`), 'utf8'))
+  };
+}
+
+// [parser, entrée, résultat attendu]
+const PARSER_CASES = [
+  [parsePriceDetails, '1 250 000 € dont 5% honoraires', { amount: 1250000, feesIncluded: true, feesPercent: 5 }],
+  [parsePriceDetails, '850 € CC dont 50 € de charges', { amount: 850, rentCharges: 'CC', chargesAmount: 50, period: 'month' }],
+  [parsePriceDetails, '1,2 M€ net vendeur', { amount: 1200000, feesIncluded: false }],
+  [parsePriceDetails, 'Prix sur demande', null],
+  [parseSurfaceDetails, 'Surface Carrez : 42,30 m2', { surface: 42.3, carrez: true }],
+  [parseRooms, '3 pièces', 3],
+  [parseRooms, 'T4', 4],
+  [parseRooms, 'studio', 1],
+  [parseRooms, '5', 5],
+  [parseRooms, '65 m²', null],
+  [parseBedrooms, '2 ch.', 2],
+  [parseEnergyClass, 'DPE : C', 'C'],
+  [parseFloor, 'Rez-de-chaussée', 0],
+  [parseFloor, '1er étage', 1],
+  [parseYearBuilt, 'Année de construction : 1975', 1975]
+];
+
+const checks = [
+  ['page de résultats (listing.html)', () => {
+    const { html, expected } = loadFixture('listing');
+    assert.deepEqual(extractListings(html, selectors, BASE_URL), expected);
+  }],
+
+  ['page de détail (detail.html)', () => {
+    const { html, expected } = loadFixture('detail');
+    assert.deepEqual(extractDetails(html, selectors, BASE_URL), expected);
+  }],
+
+  ...PARSER_CASES.map(([parser, input, expected]) => [`${parser.name}(${JSON.stringify(input)})`, () => {
+    const result = parser(input);
+    if (expected && typeof expected === 'object') {
+      assert.ok(result, 'résultat attendu');
+      for (const [key, value] of Object.entries(expected)) {
+        assert.equal(result[key], value, key);
+      }
+    } else {
+      assert.equal(result, expected);
+    }
+  }])
+];
+
+function main() {
+  console.log('🔎 Vérification des parsers HTML...\n');
+
+  let failed = 0;
+  for (const [name, check] of checks) {
+    try {
+      check();
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`  ❌ ${name}: ${error.message}`);
+    }
+  }
+
+  console.log(failed ? `\n❌ ${failed} vérification(s) en échec\n` : '\n✨ Parsers conformes\n');
+  return failed;
+}
+
+process.exit(main() ? 1 : 0);
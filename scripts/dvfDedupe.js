@@ -0,0 +1,21 @@
+// Script ponctuel pour fusionner les doublons DVF créés par les anciens externalId aléatoires
+// Seules les lignes déjà remplacées par un identifiant stable sont supprimées
+import { dvfScraper } from '../src/services/dvfScraper.js';
+
+async function main() {
+  console.log('🧹 Déduplication des propriétés DVF...\n');
+
+  const result = await dvfScraper.deduplicate();
+
+  console.log(`  🔎 ${result.scanned} propriétés DVF analysées`);
+  console.log(`  🔗 ${result.groups} groupes de doublons fusionnés`);
+  console.log(`  🗑️  ${result.deleted} lignes supprimées`);
+  console.log('\n✨ Déduplication terminée !\n');
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((e) => {
+    console.error('❌ Erreur:', e);
+    process.exit(1);
+  });
@@ -0,0 +1,42 @@
+// Import hors-ligne d'un fichier DVF (valeursfoncieres-YYYY.txt ou geo-DVF full.csv.gz)
+// Usage: npm run dvf:import -- <fichier> [--dep 75,92] [--year 2023]
+import path from 'path';
+import { parseArgs } from 'util';
+import { dvfImporter } from '../src/services/dvfImporter.js';
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      file: { type: 'string' },
+      dep: { type: 'string' },
+      year: { type: 'string' }
+    }
+  });
+
+  const file = values.file || positionals[0];
+  if (!file) {
+    console.error('Usage: npm run dvf:import -- <fichier> [--dep 75,92] [--year 2023]');
+    process.exit(1);
+  }
+
+  const departements = values.dep ? values.dep.split(',').map(d => d.trim()) : null;
+  const annee = values.year ? parseInt(values.year) : null;
+
+  console.log('📦 Import DVF hors-ligne');
+  console.log(`   Départements: ${departements ? departements.join(', ') : 'tous'}`);
+  console.log(`   Année: ${annee || 'toutes'}`);
+
+  const result = await dvfImporter.import(path.resolve(file), { departements, annee });
+
+  console.log('\n📊 Résultat:');
+  console.log(`   ${result.lines} lignes lues, ${result.matched} mutations retenues par le filtre`);
+  console.log(`   ${result.properties} propriétés, ${result.saved} sauvegardées, ${result.errors} erreurs\n`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((e) => {
+    console.error('❌ Erreur:', e);
+    process.exit(1);
+  });
@@ -0,0 +1,36 @@
+// Sélecteurs des pages de test (même format que la configuration d'un HtmlSourceAdapter)
+export const BASE_URL = 'https://www.exemple-immo.fr';
+
+export const selectors = {
+  list: {
+    item: '.listing-item',
+    fields: {
+      externalId: { selector: '', attr: 'data-id' },
+      title: '.title',
+      price: { selector: '.price', parse: 'price' },
+      surface: { selector: '.surface', parse: 'surface' },
+      rooms: { selector: '.rooms', parse: 'rooms' },
+      bedrooms: { selector: '.bedrooms', parse: 'bedrooms' },
+      floor: { selector: '.floor', parse: 'floor' },
+      city: '.city',
+      url: { selector: 'a.link', attr: 'href', absolute: true },
+      imageUrls: { selector: 'img', attr: 'src', all: true, absolute: true }
+    }
+  },
+  detail: {
+    root: '.annonce',
+    fields: {
+      title: '.title',
+      price: { selector: '.price', parse: 'price' },
+      description: '.description',
+      surface: { selector: '.surface', parse: 'surface' },
+      rooms: { selector: '.rooms', parse: 'rooms' },
+      bedrooms: { selector: '.bedrooms', parse: 'bedrooms' },
+      floor: { selector: '.floor', parse: 'floor' },
+      yearBuilt: { selector: '.year', parse: 'yearBuilt' },
+      energyClass: { selector: '.dpe', parse: 'dpe' },
+      ghgClass: { selector: '.ges', parse: 'ges' },
+      imageUrls: { selector: '.gallery img', attr: 'src', all: true, absolute: true }
+    }
+  }
+};
@@ -0,0 +1,47 @@
+// Script ponctuel: remplacer les clés API stockées en clair par leur empreinte
+// À lancer après `prisma db push`, avec le même API_SECRET que l'API
+// Usage: npm run keys:migrate
+import 'dotenv/config';
+import { PrismaClient } from '@prisma/client';
+import { hashApiKey, getKeyPrefix } from '../src/services/apiKeys.js';
+
+const prisma = new PrismaClient();
+
+const BATCH_SIZE = 200;
+
+async function main() {
+  console.log('🔐 Migration des clés API en clair...\n');
+
+  let migrated = 0;
+
+  while (true) {
+    const keys = await prisma.apiKey.findMany({
+      where: { key: { not: null } },
+      select: { id: true, key: true },
+      take: BATCH_SIZE
+    });
+    if (keys.length === 0) break;
+
+    await prisma.$transaction(keys.map(({ id, key }) => prisma.apiKey.update({
+      where: { id },
+      data: {
+        keyHash: hashApiKey(key),
+        prefix: getKeyPrefix(key),
+        key: null
+      }
+    })));
+
+    migrated += keys.length;
+    console.log(`  ✅ ${migrated} clés migrées`);
+  }
+
+  console.log(`\n✨ Migration terminée: ${migrated} clés API hachées.\n`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((e) => {
+    console.error('❌ Erreur:', e);
+    process.exit(1);
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,88 @@
+// Rejouer un événement de facturation enregistré contre une API locale
+// Signé avec STRIPE_WEBHOOK_SECRET comme le ferait Stripe, sans compte Stripe
+// Usage: npm run billing:replay -- <fixture> [--user <userId>] [--new-id] [--url <url>]
+//   <fixture>  nom dans scripts/fixtures/billing (ex: invoice.paid) ou chemin d'un fichier JSON
+//   --user     identifiant de l'utilisateur (client_reference_id de checkout.session.completed)
+//   --new-id   nouvel identifiant d'événement (sinon celui du fichier: le renvoi doit être acquitté sans effet)
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import axios from 'axios';
+import { signPayload } from '../src/services/webhooks.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'billing');
+
+/**
+ * Lire les arguments de la ligne de commande
+ */
+function parseArgs(argv) {
+  const options = { fixture: null, user: null, newId: false, url: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--user') options.user = argv[++i];
+    else if (arg === '--url') options.url = argv[++i];
+    else if (arg === '--new-id') options.newId = true;
+    else options.fixture = arg;
+  }
+
+  return options;
+}
+
+/**
+ * Chemin du fichier d'un événement
+ */
+function resolveFixture(name) {
+  if (fs.existsSync(name)) return name;
+  return path.join(FIXTURES_DIR, name.endsWith('.json') ? name : `${name}.json`);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const secret = process.env.STRIPE_WEBHOOK_SECRET;
+
+  if (!options.fixture) {
+    const available = fs.readdirSync(FIXTURES_DIR).map(file => file.replace(/\.json$/, ''));
+    console.error('Usage: npm run billing:replay -- <fixture> [--user <userId>] [--new-id] [--url <url>]');
+    console.error(`Événements disponibles: ${available.join(', ')}`);
+    process.exit(1);
+  }
+
+  if (!secret) {
+    console.error('❌ STRIPE_WEBHOOK_SECRET non défini (voir .env.example)');
+    process.exit(1);
+  }
+
+  const event = JSON.parse(fs.readFileSync(resolveFixture(options.fixture), 'utf8'));
+
+  if (options.user && event.data?.object && 'client_reference_id' in event.data.object) {
+    event.data.object.client_reference_id = options.user;
+  }
+  if (options.newId) {
+    event.id = `evt_replay_${Date.now()}`;
+  }
+  event.created = Math.floor(Date.now() / 1000);
+
+  const body = JSON.stringify(event);
+  const url = options.url || `http://localhost:${process.env.PORT || 3000}/api/billing/webhook`;
+
+  const response = await axios.post(url, body, {
+    headers: {
+      'Content-Type': 'application/json',
+      'Stripe-Signature': signPayload(secret, body)
+    },
+    validateStatus: () => true
+  });
+
+  const icon = response.status < 300 ? '✅' : '❌';
+  console.log(`${icon} ${event.type} (${event.id}) → ${response.status}`);
+  console.log(JSON.stringify(response.data, null, 2));
+
+  if (response.status >= 300) process.exit(1);
+}
+
+main().catch((e) => {
+  console.error('❌ Erreur:', e.message);
+  process.exit(1);
+});
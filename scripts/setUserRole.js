@@ -0,0 +1,36 @@
+// Attribuer un rôle à un utilisateur (par exemple le premier admin)
+// Usage: npm run users:role -- <email> <user|analyst|admin>
+import { PrismaClient } from '@prisma/client';
+import { ROLES } from '../src/middleware/roles.js';
+
+const prisma = new PrismaClient();
+
+async function main() {
+  const [email, role] = process.argv.slice(2);
+
+  if (!email || !ROLES.includes(role)) {
+    console.error(`Usage: npm run users:role -- <email> <${ROLES.join('|')}>`);
+    process.exit(1);
+  }
+
+  const user = await prisma.user.findUnique({ where: { email: email.toLowerCase() } });
+  if (!user) {
+    console.error(`❌ Aucun utilisateur avec l'email ${email}`);
+    process.exit(1);
+  }
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { role }
+  });
+
+  console.log(`✅ ${user.email}: ${user.role} → ${role}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((e) => {
+    console.error('❌ Erreur:', e);
+    process.exit(1);
+  })
+  .finally(() => prisma.$disconnect());
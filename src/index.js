@@ -13,18 +13,43 @@ import propertiesRoutes from './routes/properties.js';
 import searchRoutes from './routes/search.js';
 import statsRoutes from './routes/stats.js';
 import adminRoutes from './routes/admin.js';
+import savedSearchesRoutes from './routes/savedSearches.js';
+import webhooksRoutes from './routes/webhooks.js';
+import plansRoutes from './routes/plans.js';
+import subscriptionRoutes from './routes/subscription.js';
+import billingRoutes from './routes/billing.js';
 
 // Import middleware
 import { authMiddleware } from './middleware/auth.js';
+import { createRateLimitOptions } from './middleware/rateLimit.js';
+import { requireRole } from './middleware/roles.js';
+import { requireFeature } from './middleware/features.js';
 
 // Import du scheduler
 import { scheduler } from './services/scheduler.js';
+import { usageLogger } from './services/usageLogger.js';
+import { duplicateDetector } from './services/duplicateDetector.js';
+import { mailer } from './services/mailer.js';
 
 // Charger les variables d'environnement
 dotenv.config();
 
+/**
+ * Proxys de confiance pour request.ip (X-Forwarded-For), voir TRUST_PROXY
+ * true, nombre de proxys, ou liste d'adresses/plages séparées par des virgules
+ */
+function parseTrustProxy(value) {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return parseInt(value);
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
 // Créer l'instance Fastify
 const fastify = Fastify({
+  // Derrière un reverse proxy, sans quoi toutes les requêtes ont l'IP du proxy
+  // (limites d'inscription par IP, clés restreintes par IP, rate limit sans clé)
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
   logger: {
     level: process.env.NODE_ENV === 'production' ? 'info' : 'debug',
     transport: process.env.NODE_ENV !== 'production' ? {
@@ -56,18 +81,8 @@ await fastify.register(cors, {
   credentials: true,
 });
 
-// 🔒 RATE LIMITING global
-await fastify.register(rateLimit, {
-  max: parseInt(process.env.RATE_LIMIT_MAX) || 100,
-  timeWindow: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60000,
-  keyGenerator: (request) => request.headers['x-api-key'] || request.ip,
-  errorResponseBuilder: (request, context) => ({
-    success: false,
-    error: 'RATE_LIMIT_EXCEEDED',
-    message: `Trop de requêtes. Limite: ${context.max} par minute.`,
-    retryAfter: context.after
-  }),
-});
+// 🔒 RATE LIMITING par plan (Plan.rateLimit), store partagé si REDIS_URL
+await fastify.register(rateLimit, await createRateLimitOptions());
 
 // Documentation Swagger
 await fastify.register(swagger, {
@@ -105,6 +120,8 @@ await fastify.register(swaggerUi, {
 
 // Décorateur pour l'authentification
 fastify.decorate('authenticate', authMiddleware);
+fastify.decorate('requireRole', requireRole);
+fastify.decorate('requireFeature', requireFeature);
 
 // 🔒 Headers de sécurité supplémentaires
 fastify.addHook('onSend', async (request, reply) => {
@@ -113,6 +130,27 @@ fastify.addHook('onSend', async (request, reply) => {
   reply.header('X-XSS-Protection', '1; mode=block');
 });
 
+// Journal d'usage de chaque requête authentifiée (écrit par lots)
+fastify.addHook('onResponse', async (request, reply) => {
+  if (!request.user || !request.apiKeyId) return;
+
+  usageLogger.record({
+    userId: request.user.id,
+    apiKeyId: request.apiKeyId,
+    endpoint: request.routeOptions.url || request.url.split('?')[0],
+    method: request.method,
+    statusCode: reply.statusCode,
+    duration: Math.round(reply.elapsedTime),
+    cost: request.usageCost?.cost ?? 1,
+    category: request.usageCost?.category || 'standard',
+    createdAt: new Date()
+  });
+});
+
+fastify.addHook('onClose', async () => {
+  await usageLogger.stop();
+});
+
 // Route de santé
 fastify.get('/health', {
   schema: {
@@ -138,7 +176,12 @@ fastify.get('/', async () => ({
     properties: '/api/properties/*',
     search: '/api/search/*',
     stats: '/api/stats/*',
-    admin: '/api/admin/*'
+    admin: '/api/admin/*',
+    savedSearches: '/api/saved-searches/*',
+    webhooks: '/api/webhooks/*',
+    plans: '/api/plans',
+    subscription: '/api/auth/subscription/*',
+    billing: '/api/billing/webhook'
   }
 }));
 
@@ -148,6 +191,11 @@ await fastify.register(propertiesRoutes, { prefix: '/api/properties' });
 await fastify.register(searchRoutes, { prefix: '/api/search' });
 await fastify.register(statsRoutes, { prefix: '/api/stats' });
 await fastify.register(adminRoutes, { prefix: '/api/admin' });
+await fastify.register(savedSearchesRoutes, { prefix: '/api/saved-searches' });
+await fastify.register(webhooksRoutes, { prefix: '/api/webhooks' });
+await fastify.register(plansRoutes, { prefix: '/api/plans' });
+await fastify.register(subscriptionRoutes, { prefix: '/api/auth/subscription' });
+await fastify.register(billingRoutes, { prefix: '/api/billing' });
 
 // Gestionnaire d'erreurs
 fastify.setErrorHandler((error, request, reply) => {
@@ -165,7 +213,8 @@ fastify.setErrorHandler((error, request, reply) => {
   reply.status(statusCode).send({
     success: false,
     error: error.code || 'INTERNAL_ERROR',
-    message: statusCode === 500 ? 'Erreur interne du serveur' : error.message
+    message: statusCode === 500 ? 'Erreur interne du serveur' : error.message,
+    ...(error.retryAfter && { retryAfter: error.retryAfter })
   });
 });
 
@@ -175,6 +224,9 @@ const start = async () => {
     const host = process.env.HOST || '0.0.0.0';
     const port = parseInt(process.env.PORT) || 3000;
 
+    // Transport des emails: refusé en production s'il n'envoie rien (console, file)
+    mailer.init();
+
     await fastify.listen({ port, host });
 
     console.log(`
@@ -188,14 +240,20 @@ const start = async () => {
     🛡️  Protections actives:
         ✅ Helmet (headers sécurisés)
         ✅ CORS restreint
-        ✅ Rate limiting
+        ✅ Rate limiting par plan
         ✅ Clés API sécurisées
     
     Prêt à recevoir des requêtes !
     `);
 
+    usageLogger.start();
     scheduler.start();
 
+    // Lignes antérieures aux groupes de doublons (mode dédoublonné de /api/properties)
+    duplicateDetector.assignOrphanGroups().catch(err => {
+      fastify.log.error(`Attribution des groupes de doublons: ${err.message}`);
+    });
+
   } catch (err) {
     fastify.log.error(err);
     process.exit(1);
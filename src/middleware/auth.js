@@ -1,29 +1,73 @@
 // Middleware d'authentification par clé API - VERSION SÉCURISÉE
 import { PrismaClient } from '@prisma/client';
-import crypto from 'crypto';
+import { quotaService, setQuotaHeaders, getRequestCost } from '../services/quota.js';
+import {
+  findApiKey,
+  hashApiKey,
+  isApiKeyFormat,
+  parseScopes,
+  hasScope,
+  createIpAllowlist,
+  isIpAllowed
+} from '../services/apiKeys.js';
 
 const prisma = new PrismaClient();
 
-// Cache pour éviter trop de requêtes BDD
+// Cache pour éviter trop de requêtes BDD (indexé par empreinte de clé)
 const keyCache = new Map();
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+const LAST_USED_INTERVAL = 60 * 1000; // Écriture de lastUsed au plus une fois par minute
+
+// Plans par clé pour le rate limiting (exécuté avant l'authentification)
+const planCache = new Map();
+
+// Plan appliqué aux comptes sans abonnement
+export const DEFAULT_PLAN = { name: 'free', displayName: 'Gratuit', requestsLimit: 100, rateLimit: 10, entitlements: '[]' };
 
 // Nettoyer le cache périodiquement
 setInterval(() => {
   const now = Date.now();
-  for (const [key, value] of keyCache.entries()) {
-    if (now - value.timestamp > CACHE_TTL) {
-      keyCache.delete(key);
+  for (const cache of [keyCache, planCache]) {
+    for (const [key, value] of cache.entries()) {
+      if (now - value.timestamp > CACHE_TTL) {
+        cache.delete(key);
+      }
     }
   }
 }, 60000);
 
 /**
- * 🔒 Comparaison timing-safe pour éviter les timing attacks
+ * 🔒 Vérifier expiration, IP et portée d'une clé (null si la requête est autorisée)
  */
-function secureCompare(a, b) {
-  if (a.length !== b.length) return false;
-  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+function checkKeyRestrictions(auth, request) {
+  if (auth.graceEndsAt && auth.graceEndsAt <= new Date()) {
+    return { status: 401, error: 'API_KEY_ROTATED', message: 'Cette clé API a été remplacée par une nouvelle clé.' };
+  }
+
+  if (auth.expiresAt && auth.expiresAt <= new Date()) {
+    return { status: 401, error: 'API_KEY_EXPIRED', message: 'Cette clé API a expiré.' };
+  }
+
+  if (!isIpAllowed(auth.allowlist, request.ip)) {
+    request.log.warn({ msg: '🚨 IP non autorisée pour la clé', ip: request.ip, keyId: auth.keyId });
+    return { status: 403, error: 'IP_NOT_ALLOWED', message: 'Cette clé API n\'est pas autorisée depuis cette adresse IP.' };
+  }
+
+  const scope = request.routeOptions.config?.scope;
+  if (scope && !hasScope(auth.scopes, scope)) {
+    return { status: 403, error: 'INSUFFICIENT_SCOPE', message: `Cette clé API n'a pas la portée "${scope}".` };
+  }
+
+  return null;
+}
+
+/**
+ * Plan dont les limites s'appliquent (rate limit, fonctionnalités)
+ * Abonnement résilié ou impayé: limites du plan gratuit, le quota est refusé par quotaService.consume
+ */
+function getBillablePlan(subscription) {
+  if (!subscription) return DEFAULT_PLAN;
+  return subscription.status === 'active' ? subscription.plan : DEFAULT_PLAN;
 }
 
 /**
@@ -41,7 +85,7 @@ export async function authMiddleware(request, reply) {
   }
 
   // 🔒 Vérifier le format de la clé
-  if (!apiKey.startsWith('immo_') || apiKey.length < 20) {
+  if (!isApiKeyFormat(apiKey)) {
     return reply.status(401).send({
       success: false,
       error: 'INVALID_API_KEY_FORMAT',
@@ -51,100 +95,158 @@ export async function authMiddleware(request, reply) {
 
   try {
     // Vérifier le cache
-    if (keyCache.has(apiKey)) {
-      const cached = keyCache.get(apiKey);
-      if (Date.now() - cached.timestamp < CACHE_TTL) {
-        request.user = cached.user;
-        request.apiKeyId = cached.keyId;
-        request.plan = cached.plan;
-        return;
-      }
-      keyCache.delete(apiKey);
+    const keyHash = hashApiKey(apiKey);
+    let auth = keyCache.get(keyHash);
+    if (auth && Date.now() - auth.timestamp >= CACHE_TTL) {
+      keyCache.delete(keyHash);
+      auth = null;
     }
 
-    // Rechercher la clé dans la BDD
-    const key = await prisma.apiKey.findUnique({
-      where: { key: apiKey },
-      include: {
-        user: {
-          include: {
-            subscription: {
-              include: { plan: true }
+    if (!auth) {
+      // Rechercher la clé dans la BDD (préfixe puis empreinte)
+      const key = await findApiKey(apiKey, {
+        include: {
+          user: {
+            include: {
+              subscription: {
+                include: { plan: true }
+              }
             }
           }
         }
+      });
+
+      if (!key) {
+        // 🔒 Logger les tentatives invalides
+        request.log.warn({
+          msg: '🚨 Clé API invalide',
+          ip: request.ip,
+          keyPrefix: apiKey.substring(0, 12) + '...'
+        });
+
+        return reply.status(401).send({
+          success: false,
+          error: 'INVALID_API_KEY',
+          message: 'Clé API invalide.'
+        });
       }
-    });
 
-    if (!key) {
-      // 🔒 Logger les tentatives invalides
-      request.log.warn({
-        msg: '🚨 Clé API invalide',
-        ip: request.ip,
-        keyPrefix: apiKey.substring(0, 10) + '...'
-      });
+      if (!key.isActive) {
+        return reply.status(403).send({
+          success: false,
+          error: 'API_KEY_DISABLED',
+          message: 'Cette clé API a été désactivée.'
+        });
+      }
 
-      return reply.status(401).send({
-        success: false,
-        error: 'INVALID_API_KEY',
-        message: 'Clé API invalide.'
-      });
+      if (key.user.bannedAt) {
+        return reply.status(403).send({
+          success: false,
+          error: 'ACCOUNT_BANNED',
+          message: 'Ce compte a été suspendu.'
+        });
+      }
+
+      // Comptes sans abonnement: plan gratuit créé à la volée
+      const subscription = key.user.subscription
+        || await quotaService.getOrCreateSubscription(key.user.id);
+
+      // Mettre en cache
+      auth = {
+        user: key.user,
+        keyId: key.id,
+        plan: getBillablePlan(subscription),
+        subscriptionId: subscription?.id || null,
+        scopes: parseScopes(key.scopes),
+        expiresAt: key.expiresAt,
+        allowlist: createIpAllowlist(key.allowedIps),
+        graceEndsAt: key.graceEndsAt,
+        lastUsedAt: 0,
+        timestamp: Date.now()
+      };
+      keyCache.set(keyHash, auth);
     }
 
-    if (!key.isActive) {
-      return reply.status(403).send({
+    request.user = auth.user;
+    request.apiKeyId = auth.keyId;
+    request.apiKeyScopes = auth.scopes;
+    request.plan = auth.plan;
+    request.subscriptionId = auth.subscriptionId;
+
+    // Le coût dépend de la route (config.cost, voir REQUEST_COSTS)
+    request.usageCost = getRequestCost(request);
+
+    // 🔒 Restrictions de la clé: expiration, IP autorisées, portée de la route
+    const denied = checkKeyRestrictions(auth, request);
+    if (denied) {
+      request.usageCost.cost = 0;
+      return reply.status(denied.status).send({
         success: false,
-        error: 'API_KEY_DISABLED',
-        message: 'Cette clé API a été désactivée.'
+        error: denied.error,
+        message: denied.message
       });
     }
 
-    // Vérifier les quotas
-    const subscription = key.user.subscription;
-    if (subscription) {
-      if (new Date() > subscription.periodEnd) {
+    // Mettre à jour lastUsed (async, au plus une fois par minute)
+    if (Date.now() - auth.lastUsedAt >= LAST_USED_INTERVAL) {
+      auth.lastUsedAt = Date.now();
+      prisma.apiKey.update({
+        where: { id: auth.keyId },
+        data: { lastUsed: new Date() }
+      }).catch(err => request.log.error(err));
+    }
+
+    // Clé remplacée, encore valide pendant la période de chevauchement
+    if (auth.graceEndsAt) {
+      reply.header('Sunset', auth.graceEndsAt.toUTCString());
+    }
+
+    // 🔒 Quota: vérification et incrément atomiques, à chaque requête
+    // Routes de gestion de l'abonnement (config.quota = false): accessibles même quota épuisé
+    if (auth.subscriptionId && request.routeOptions.config?.quota !== false) {
+      const { cost } = request.usageCost;
+      const quota = await quotaService.consume(auth.subscriptionId, auth.plan.requestsLimit, cost);
+      setQuotaHeaders(reply, quota);
+
+      // Plan changé au renouvellement (baisse programmée) ou abonnement plus actif: limites à recharger
+      const billablePlanId = quota.status === 'active' ? quota.planId : DEFAULT_PLAN.id;
+      if (billablePlanId !== auth.plan.id) {
+        invalidateUserCache(auth.user.id);
+      }
+
+      // Requête refusée: journalisée sans être facturée
+      if (!quota.allowed) {
+        request.usageCost.cost = 0;
+      } else {
+        request.quotaCharged = cost;
+      }
+
+      if (quota.code === 'SUBSCRIPTION_EXPIRED') {
         return reply.status(403).send({
           success: false,
           error: 'SUBSCRIPTION_EXPIRED',
-          message: 'Votre abonnement a expiré.'
+          message: 'Votre abonnement a expiré. Réactivez-le via POST /api/auth/subscription/change.'
         });
       }
 
-      if (subscription.requestsUsed >= subscription.plan.requestsLimit) {
+      if (quota.code === 'SUBSCRIPTION_PAST_DUE') {
+        return reply.status(402).send({
+          success: false,
+          error: 'SUBSCRIPTION_PAST_DUE',
+          message: 'Un paiement est en attente: l\'accès reprend dès sa régularisation.'
+        });
+      }
+
+      if (quota.code === 'QUOTA_EXCEEDED') {
         return reply.status(429).send({
           success: false,
           error: 'QUOTA_EXCEEDED',
-          message: `Quota mensuel atteint (${subscription.plan.requestsLimit} requêtes).`,
-          resetDate: subscription.periodEnd
+          message: `Quota mensuel atteint (${quota.limit} requêtes, cette requête en coûte ${cost}).`,
+          resetDate: quota.resetAt
         });
       }
-
-      // Incrémenter le compteur (async)
-      prisma.subscription.update({
-        where: { id: subscription.id },
-        data: { requestsUsed: { increment: 1 } }
-      }).catch(err => request.log.error(err));
     }
 
-    // Mettre à jour lastUsed (async)
-    prisma.apiKey.update({
-      where: { id: key.id },
-      data: { lastUsed: new Date() }
-    }).catch(err => request.log.error(err));
-
-    // Mettre en cache
-    const cacheData = {
-      user: key.user,
-      keyId: key.id,
-      plan: subscription?.plan || { name: 'free', requestsLimit: 100, rateLimit: 10 },
-      timestamp: Date.now()
-    };
-    keyCache.set(apiKey, cacheData);
-
-    request.user = key.user;
-    request.apiKeyId = key.id;
-    request.plan = cacheData.plan;
-
   } catch (error) {
     request.log.error(error);
     return reply.status(500).send({
@@ -156,10 +258,50 @@ export async function authMiddleware(request, reply) {
 }
 
 /**
- * 🔒 Invalider le cache pour une clé
+ * Plan associé à une clé API (null si la clé est inconnue ou désactivée)
+ * Utilisé par le rate limiting, qui passe avant authMiddleware
  */
-export function invalidateKeyCache(apiKey) {
-  keyCache.delete(apiKey);
+export async function getPlanForApiKey(apiKey) {
+  if (!isApiKeyFormat(apiKey)) return null;
+
+  const keyHash = hashApiKey(apiKey);
+  const cached = keyCache.get(keyHash) || planCache.get(keyHash);
+  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+    return cached.plan;
+  }
+
+  const key = await findApiKey(apiKey, {
+    select: {
+      isActive: true,
+      expiresAt: true,
+      graceEndsAt: true,
+      user: {
+        select: {
+          subscription: { select: { plan: true, status: true } }
+        }
+      }
+    }
+  });
+
+  // Les clés invalides, expirées ou remplacées sont aussi mises en cache (null)
+  const now = new Date();
+  const usable = key && key.isActive
+    && !(key.expiresAt && key.expiresAt <= now)
+    && !(key.graceEndsAt && key.graceEndsAt <= now);
+  const plan = usable
+    ? getBillablePlan(key.user.subscription)
+    : null;
+  planCache.set(keyHash, { plan, timestamp: Date.now() });
+
+  return plan;
+}
+
+/**
+ * 🔒 Invalider le cache pour une clé (par empreinte)
+ */
+export function invalidateKeyCache(keyHash) {
+  keyCache.delete(keyHash);
+  planCache.delete(keyHash);
 }
 
 /**
@@ -167,4 +309,18 @@ export function invalidateKeyCache(apiKey) {
  */
 export function clearKeyCache() {
   keyCache.clear();
+  planCache.clear();
+}
+
+/**
+ * 🔒 Invalider le cache de toutes les clés d'un utilisateur
+ * (changement de rôle, de plan...)
+ */
+export function invalidateUserCache(userId) {
+  for (const [keyHash, auth] of keyCache.entries()) {
+    if (auth.user.id === userId) {
+      keyCache.delete(keyHash);
+      planCache.delete(keyHash);
+    }
+  }
 }
@@ -0,0 +1,101 @@
+// Fonctionnalités incluses dans chaque plan (Plan.entitlements)
+// Plan.features reste la liste d'arguments commerciaux affichée sur la page des tarifs
+import { PrismaClient } from '@prisma/client';
+import { refundRequest } from '../services/quota.js';
+
+const prisma = new PrismaClient();
+
+// Fonctionnalités contrôlées par requireFeature
+export const FEATURES = {
+  geo_search: 'Recherche géographique',
+  advanced_stats: 'Statistiques avancées',
+  webhooks: 'Webhooks'
+};
+
+// Fonctionnalités des plans livrés (prisma/seed.js, scripts/backfillEntitlements.js)
+export const PLAN_ENTITLEMENTS = {
+  free: [],
+  starter: [],
+  pro: ['geo_search', 'advanced_stats', 'webhooks'],
+  business: ['geo_search', 'advanced_stats', 'webhooks']
+};
+
+// Plans triés par prix, pour indiquer le plan qui débloque une fonctionnalité
+const PLANS_CACHE_TTL = 5 * 60 * 1000;
+let plansCache = null;
+
+/**
+ * Fonctionnalités d'un plan
+ */
+export function getPlanEntitlements(plan) {
+  try {
+    const entitlements = JSON.parse(plan?.entitlements || '[]');
+    return Array.isArray(entitlements) ? entitlements : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Vérifier qu'un plan inclut une fonctionnalité
+ */
+export function hasFeature(plan, feature) {
+  return getPlanEntitlements(plan).includes(feature);
+}
+
+/**
+ * Plan le moins cher incluant une fonctionnalité (null si aucun)
+ */
+export async function findUnlockingPlan(feature) {
+  if (!plansCache || Date.now() - plansCache.timestamp > PLANS_CACHE_TTL) {
+    const plans = await prisma.plan.findMany({ orderBy: { price: 'asc' } });
+    plansCache = { plans, timestamp: Date.now() };
+  }
+
+  return plansCache.plans.find(plan => hasFeature(plan, feature)) || null;
+}
+
+/**
+ * 🔒 preHandler exigeant une fonctionnalité du plan (à placer après fastify.authenticate)
+ */
+export function requireFeature(feature) {
+  if (!(feature in FEATURES)) {
+    throw new Error(`Fonctionnalité inconnue: ${feature}`);
+  }
+
+  return async function featureGuard(request, reply) {
+    if (!request.user) {
+      return reply.status(401).send({
+        success: false,
+        error: 'UNAUTHORIZED',
+        message: 'Authentification requise.'
+      });
+    }
+
+    if (hasFeature(request.plan, feature)) return;
+
+    // Requête refusée: le quota consommé par authenticate est rendu
+    await refundRequest(request);
+
+    // Sans liste des plans (erreur de base), le message reste générique
+    const unlockingPlan = await findUnlockingPlan(feature).catch(error => {
+      request.log.error(error);
+      return null;
+    });
+    const currentPlan = request.plan?.displayName || request.plan?.name;
+
+    return reply.status(403).send({
+      success: false,
+      error: 'FEATURE_NOT_IN_PLAN',
+      message: unlockingPlan
+        ? `${FEATURES[feature]}: fonctionnalité non incluse dans le plan ${currentPlan}, disponible à partir du plan ${unlockingPlan.displayName}.`
+        : `${FEATURES[feature]}: fonctionnalité non incluse dans le plan ${currentPlan}.`,
+      feature,
+      currentPlan: request.plan?.name,
+      requiredPlan: unlockingPlan
+        ? { name: unlockingPlan.name, displayName: unlockingPlan.displayName, price: unlockingPlan.price }
+        : null,
+      upgrade: 'POST /api/auth/subscription/change'
+    });
+  };
+}
@@ -0,0 +1,85 @@
+// Configuration du rate limiting par plan (@fastify/rate-limit)
+// Les clés API valides sont limitées selon Plan.rateLimit (requêtes/minute),
+// les autres requêtes par IP avec RATE_LIMIT_MAX
+
+import crypto from 'crypto';
+import { getPlanForApiKey } from './auth.js';
+import { createMemoryClient, createRateLimitStore } from '../services/rateLimitStore.js';
+
+/**
+ * Limite appliquée sans clé API valide
+ */
+function getAnonymousMax() {
+  return parseInt(process.env.RATE_LIMIT_MAX) || 100;
+}
+
+/**
+ * Plan de la clé API de la requête (mémorisé sur la requête)
+ */
+async function getRequestPlan(request) {
+  if (request.rateLimitPlan === undefined) {
+    const apiKey = request.headers['x-api-key'];
+    request.rateLimitPlan = apiKey ? await getPlanForApiKey(apiKey) : null;
+  }
+  return request.rateLimitPlan;
+}
+
+/**
+ * Compteur par clé API valide (hachée), sinon par IP
+ */
+export async function rateLimitKey(request) {
+  const plan = await getRequestPlan(request);
+  if (!plan) return `ip:${request.ip}`;
+
+  const hash = crypto.createHash('sha256').update(request.headers['x-api-key']).digest('hex');
+  return `key:${hash.substring(0, 32)}`;
+}
+
+/**
+ * Limite par minute selon le plan
+ */
+export async function rateLimitMax(request) {
+  const plan = await getRequestPlan(request);
+  return plan ? plan.rateLimit : getAnonymousMax();
+}
+
+/**
+ * Client du store: Redis si REDIS_URL est défini (plusieurs instances), mémoire sinon
+ */
+async function createStoreClient() {
+  if (!process.env.REDIS_URL) {
+    return createMemoryClient();
+  }
+
+  let Redis;
+  try {
+    ({ default: Redis } = await import('ioredis'));
+  } catch (error) {
+    throw new Error('REDIS_URL est défini mais le paquet "ioredis" est absent (npm install ioredis)');
+  }
+
+  return new Redis(process.env.REDIS_URL);
+}
+
+/**
+ * Options du plugin @fastify/rate-limit
+ * client: tout client incr/pexpire/pttl (par défaut selon REDIS_URL)
+ */
+export async function createRateLimitOptions({ client } = {}) {
+  const storeClient = client || await createStoreClient();
+
+  return {
+    max: rateLimitMax,
+    timeWindow: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60000,
+    keyGenerator: rateLimitKey,
+    store: createRateLimitStore(storeClient, process.env.RATE_LIMIT_PREFIX || 'immo:ratelimit:'),
+    // Headers standards RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset
+    enableDraftSpec: true,
+    errorResponseBuilder: (request, context) => ({
+      statusCode: context.statusCode,
+      code: 'RATE_LIMIT_EXCEEDED',
+      message: `Trop de requêtes. Limite: ${context.max} par minute.`,
+      retryAfter: context.after
+    })
+  };
+}
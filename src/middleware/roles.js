@@ -0,0 +1,52 @@
+// Contrôle d'accès par rôle (User.role)
+// Les rôles sont hiérarchiques: un admin a aussi les droits d'un analyste
+import { auditService } from '../services/audit.js';
+import { refundRequest } from '../services/quota.js';
+
+export const ROLES = ['user', 'analyst', 'admin'];
+
+const ROLE_LEVELS = Object.fromEntries(ROLES.map((role, index) => [role, index]));
+
+/**
+ * Vérifier qu'un rôle atteint le rôle minimum demandé
+ */
+export function hasRole(role, minimumRole) {
+  return (ROLE_LEVELS[role] ?? 0) >= ROLE_LEVELS[minimumRole];
+}
+
+/**
+ * 🔒 preHandler exigeant un rôle minimum (à placer après fastify.authenticate)
+ */
+export function requireRole(minimumRole) {
+  if (!(minimumRole in ROLE_LEVELS)) {
+    throw new Error(`Rôle inconnu: ${minimumRole}`);
+  }
+
+  return async function roleGuard(request, reply) {
+    if (!request.user) {
+      return reply.status(401).send({
+        success: false,
+        error: 'UNAUTHORIZED',
+        message: 'Authentification requise.'
+      });
+    }
+
+    if (!hasRole(request.user.role, minimumRole)) {
+      // Requête refusée: le quota consommé par authenticate est rendu
+      await refundRequest(request);
+
+      await auditService.record(request, {
+        action: 'access.denied',
+        target: `${request.method} ${request.routeOptions.url}`,
+        params: { requiredRole: minimumRole, role: request.user.role || 'user' },
+        outcome: 'denied'
+      });
+
+      return reply.status(403).send({
+        success: false,
+        error: 'FORBIDDEN',
+        message: `Accès réservé au rôle "${minimumRole}".`
+      });
+    }
+  };
+}
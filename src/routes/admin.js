@@ -1,10 +1,56 @@
 // Routes d'administration pour gérer le scraping
 import { scheduler } from '../services/scheduler.js';
 import { dvfScraper } from '../services/dvfScraper.js';
+import { dvfImporter } from '../services/dvfImporter.js';
+import { duplicateDetector } from '../services/duplicateDetector.js';
+import { usageLogger } from '../services/usageLogger.js';
+import { auditService, AUDIT_CSV_COLUMNS } from '../services/audit.js';
+import { REQUEST_COSTS } from '../services/quota.js';
+import { toCsv } from '../utils/helpers.js';
+import { ROLES } from '../middleware/roles.js';
+import { invalidateUserCache, invalidateKeyCache } from '../middleware/auth.js';
+import { registrationGuard, toCanonicalSubnet } from '../services/registrationGuard.js';
+import { isValidCidr } from '../services/apiKeys.js';
 import { PrismaClient } from '@prisma/client';
 
 const prisma = new PrismaClient();
 
+// Filtres du journal d'audit
+const AUDIT_FILTERS_SCHEMA = {
+  actorId: { type: 'string', description: 'Utilisateur à l\'origine de l\'action' },
+  apiKeyId: { type: 'string' },
+  action: { type: 'string', description: 'Action exacte, ou préfixe terminé par un point (ex: admin.)' },
+  target: { type: 'string' },
+  outcome: { type: 'string', enum: ['success', 'failure', 'denied'] },
+  from: { type: 'string', format: 'date-time' },
+  to: { type: 'string', format: 'date-time' }
+};
+
+// Source d'inscription: une IP ou un sous-réseau (tel que listé par /signups/sources)
+const SIGNUP_SOURCE_SCHEMA = {
+  ip: { type: 'string', description: 'Adresse IP d\'inscription' },
+  subnet: { type: 'string', description: 'Sous-réseau d\'inscription: /24 en IPv4, /64 en IPv6 (ex: 203.0.113.0/24)' }
+};
+
+/**
+ * Valider une source d'inscription (ip ou subnet, pas les deux)
+ * Le sous-réseau doit être sous la forme listée par /signups/sources: bannissement et
+ * blocage portent ainsi sur les mêmes comptes
+ * Retourne un message d'erreur ou null
+ */
+function validateSignupSource({ ip, subnet }) {
+  if (Boolean(ip) === Boolean(subnet)) return 'Indiquez une IP ou un sous-réseau.';
+  if (ip && (ip.includes('/') || !isValidCidr(ip))) return `Adresse IP invalide: ${ip}`;
+  if (subnet) {
+    const canonical = toCanonicalSubnet(subnet);
+    if (!canonical) return `Sous-réseau invalide: ${subnet} (/24 en IPv4, /64 en IPv6)`;
+    if (canonical !== subnet) return `Sous-réseau non canonique: ${subnet} (attendu: ${canonical})`;
+  }
+  return null;
+}
+
+// Lecture (statut, statistiques): analystes et admins
+// Actions (scraping, import, nettoyage, rôles, bannissements): admins uniquement, tracées dans l'audit
 export default async function adminRoutes(fastify) {
 
   // Statut du scraper
@@ -15,7 +61,8 @@ export default async function adminRoutes(fastify) {
       description: 'Voir le statut du scheduler et les dernières exécutions.',
       security: [{ apiKey: [] }]
     },
-    preHandler: [fastify.authenticate]
+    config: { scope: 'admin' },
+    preHandler: [fastify.authenticate, fastify.requireRole('analyst')]
   }, async (request, reply) => {
     try {
       // Compter les propriétés en base
@@ -31,6 +78,7 @@ export default async function adminRoutes(fastify) {
         success: true,
         data: {
           scheduler: schedulerStatus,
+          usageLog: usageLogger.getStatus(),
           database: {
             totalProperties,
             bySource: propertiesBySource.reduce((acc, item) => {
@@ -63,12 +111,18 @@ export default async function adminRoutes(fastify) {
       description: 'Déclenche immédiatement un scraping des données DVF.',
       security: [{ apiKey: [] }]
     },
-    preHandler: [fastify.authenticate]
+    config: { scope: 'admin' },
+    preHandler: [fastify.authenticate, fastify.requireRole('admin')]
   }, async (request, reply) => {
     try {
       // Vérifier si un scraping est déjà en cours
       const status = scheduler.getStatus();
       if (status.isRunning) {
+        await auditService.record(request, {
+          action: 'admin.scrape',
+          params: { reason: 'SCRAPING_IN_PROGRESS' },
+          outcome: 'failure'
+        });
         return reply.status(409).send({
           success: false,
           error: 'SCRAPING_IN_PROGRESS',
@@ -76,6 +130,8 @@ export default async function adminRoutes(fastify) {
         });
       }
 
+      await auditService.record(request, { action: 'admin.scrape' });
+
       // Lancer le scraping en arrière-plan
       reply.status(202).send({
         success: true,
@@ -97,6 +153,140 @@ export default async function adminRoutes(fastify) {
     }
   });
 
+  // Import hors-ligne d'un fichier DVF
+  fastify.post('/dvf/import', {
+    schema: {
+      tags: ['Admin'],
+      summary: 'Importer un fichier DVF depuis le disque',
+      description: 'Importe un fichier valeursfoncieres-YYYY.txt ou geo-DVF full.csv.gz placé dans DVF_IMPORT_DIR.',
+      body: {
+        type: 'object',
+        required: ['file'],
+        properties: {
+          file: { type: 'string', description: 'Nom du fichier dans DVF_IMPORT_DIR' },
+          departements: { type: 'array', items: { type: 'string' }, description: 'Filtrer par départements' },
+          annee: { type: 'integer', minimum: 2014, description: 'Filtrer par année de mutation' }
+        }
+      },
+      security: [{ apiKey: [] }]
+    },
+    config: { scope: 'admin' },
+    preHandler: [fastify.authenticate, fastify.requireRole('admin')]
+  }, async (request, reply) => {
+    const { file, departements, annee } = request.body;
+
+    try {
+      if (dvfImporter.isRunning) {
+        return reply.status(409).send({
+          success: false,
+          error: 'IMPORT_IN_PROGRESS',
+          message: 'Un import est déjà en cours. Veuillez patienter.'
+        });
+      }
+
+      const filePath = dvfImporter.resolveImportFile(file);
+      if (!filePath) {
+        return reply.status(404).send({
+          success: false,
+          error: 'FILE_NOT_FOUND',
+          message: 'Fichier introuvable dans le dossier d\'import.'
+        });
+      }
+
+      await auditService.record(request, {
+        action: 'admin.dvf_import',
+        target: file,
+        params: { departements, annee }
+      });
+
+      reply.status(202).send({
+        success: true,
+        message: 'Import démarré en arrière-plan. Vérifiez /api/admin/dvf/import pour suivre la progression.'
+      });
+
+      // Exécuter l'import (non bloquant)
+      dvfImporter.import(filePath, { departements, annee }).catch(err => {
+        console.error('Erreur import DVF:', err);
+      });
+
+    } catch (error) {
+      request.log.error(error);
+      return reply.status(500).send({
+        success: false,
+        error: 'IMPORT_ERROR',
+        message: 'Erreur lors du lancement de l\'import.'
+      });
+    }
+  });
+
+  // Suivi de l'import DVF
+  fastify.get('/dvf/import', {
+    schema: {
+      tags: ['Admin'],
+      summary: 'Statut de l\'import DVF',
+      security: [{ apiKey: [] }]
+    },
+    config: { scope: 'admin' },
+    preHandler: [fastify.authenticate, fastify.requireRole('analyst')]
+  }, async () => ({
+    success: true,
+    data: dvfImporter.getStatus()
+  }));
+
+  // Recalculer les groupes de doublons
+  fastify.post('/dedupe', {
+    schema: {
+      tags: ['Admin'],
+      summary: 'Détecter les annonces en double',
+      description: 'Regroupe les propriétés décrivant le même bien (plusieurs sources ou republications).',
+      body: {
+        type: 'object',
+        properties: {
+          postalCodes: { type: 'array', items: { type: 'string' }, description: 'Limiter à certains codes postaux' }
+        }
+      },
+      security: [{ apiKey: [] }]
+    },
+    config: { scope: 'admin' },
+    preHandler: [fastify.authenticate, fastify.requireRole('admin')]
+  }, async (request, reply) => {
+    const { postalCodes } = request.body || {};
+
+    if (duplicateDetector.isRunning) {
+      return reply.status(409).send({
+        success: false,
+        error: 'DEDUPE_IN_PROGRESS',
+        message: 'Une détection de doublons est déjà en cours. Veuillez patienter.'
+      });
+    }
+
+    await auditService.record(request, { action: 'admin.dedupe', params: { postalCodes } });
+
+    reply.status(202).send({
+      success: true,
+      message: 'Détection démarrée en arrière-plan. Vérifiez /api/admin/dedupe pour suivre la progression.'
+    });
+
+    // Exécuter la détection (non bloquant)
+    duplicateDetector.run({ postalCodes }).catch(err => {
+      console.error('Erreur détection doublons:', err);
+    });
+  });
+
+  // Suivi de la détection des doublons
+  fastify.get('/dedupe', {
+    schema: {
+      tags: ['Admin'],
+      summary: 'Statut de la détection des doublons',
+      security: [{ apiKey: [] }]
+    },
+    config: { scope: 'admin' },
+    preHandler: [fastify.authenticate, fastify.requireRole('analyst')]
+  }, async () => ({
+    success: true,
+    data: duplicateDetector.getStatus()
+  }));
+
   // Statistiques des données
   fastify.get('/stats', {
     schema: {
@@ -104,7 +294,8 @@ export default async function adminRoutes(fastify) {
       summary: 'Statistiques des données scrapées',
       security: [{ apiKey: [] }]
     },
-    preHandler: [fastify.authenticate]
+    config: { scope: 'admin' },
+    preHandler: [fastify.authenticate, fastify.requireRole('analyst')]
   }, async (request, reply) => {
     try {
       const totalProperties = await prisma.property.count();
@@ -190,7 +381,8 @@ export default async function adminRoutes(fastify) {
       },
       security: [{ apiKey: [] }]
     },
-    preHandler: [fastify.authenticate]
+    config: { scope: 'admin' },
+    preHandler: [fastify.authenticate, fastify.requireRole('admin')]
   }, async (request, reply) => {
     const { days = 90 } = request.query;
 
@@ -204,12 +396,18 @@ export default async function adminRoutes(fastify) {
         }
       });
 
+      await auditService.record(request, {
+        action: 'admin.cleanup',
+        params: { days, deleted: deleted.count }
+      });
+
       return {
         success: true,
         message: `${deleted.count} propriétés supprimées (plus de ${days} jours).`
       };
     } catch (error) {
       request.log.error(error);
+      await auditService.record(request, { action: 'admin.cleanup', params: { days }, outcome: 'failure' });
       return reply.status(500).send({
         success: false,
         error: 'CLEANUP_ERROR',
@@ -217,4 +415,385 @@ export default async function adminRoutes(fastify) {
       });
     }
   });
+
+  // Changer le rôle d'un utilisateur
+  fastify.put('/users/:id/role', {
+    schema: {
+      tags: ['Admin'],
+      summary: 'Changer le rôle d\'un utilisateur',
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' }
+        }
+      },
+      body: {
+        type: 'object',
+        required: ['role'],
+        properties: {
+          role: { type: 'string', enum: ROLES }
+        }
+      },
+      security: [{ apiKey: [] }]
+    },
+    config: { scope: 'admin' },
+    preHandler: [fastify.authenticate, fastify.requireRole('admin')]
+  }, async (request, reply) => {
+    const { id } = request.params;
+    const { role } = request.body;
+
+    // Éviter de se retirer soi-même l'accès admin
+    if (id === request.user.id && role !== 'admin') {
+      return reply.status(400).send({
+        success: false,
+        error: 'CANNOT_DEMOTE_SELF',
+        message: 'Vous ne pouvez pas retirer votre propre rôle admin.'
+      });
+    }
+
+    try {
+      const user = await prisma.user.update({
+        where: { id },
+        data: { role },
+        select: { id: true, email: true, role: true }
+      });
+
+      invalidateUserCache(id);
+      await auditService.record(request, { action: 'admin.user_role', target: id, params: { role } });
+
+      return {
+        success: true,
+        data: user
+      };
+    } catch (error) {
+      if (error.code === 'P2025') {
+        return reply.status(404).send({
+          success: false,
+          error: 'NOT_FOUND',
+          message: 'Utilisateur non trouvé.'
+        });
+      }
+
+      request.log.error(error);
+      return reply.status(500).send({
+        success: false,
+        error: 'UPDATE_ERROR',
+        message: 'Erreur lors du changement de rôle.'
+      });
+    }
+  });
+
+  // Journal d'audit
+  fastify.get('/audit', {
+    schema: {
+      tags: ['Admin'],
+      summary: 'Consulter le journal d\'audit',
+      querystring: {
+        type: 'object',
+        properties: {
+          ...AUDIT_FILTERS_SCHEMA,
+          page: { type: 'integer', default: 1, minimum: 1 },
+          limit: { type: 'integer', default: 50, minimum: 1, maximum: 200 }
+        }
+      },
+      security: [{ apiKey: [] }]
+    },
+    config: { scope: 'admin' },
+    preHandler: [fastify.authenticate, fastify.requireRole('admin')]
+  }, async (request, reply) => {
+    const { page = 1, limit = 50, ...filters } = request.query;
+
+    try {
+      const { events, pagination } = await auditService.search(filters, { page, limit });
+
+      return {
+        success: true,
+        data: events,
+        pagination
+      };
+    } catch (error) {
+      request.log.error(error);
+      return reply.status(500).send({
+        success: false,
+        error: 'FETCH_ERROR',
+        message: 'Erreur lors de la récupération du journal d\'audit.'
+      });
+    }
+  });
+
+  // Export du journal d'audit
+  fastify.get('/audit/export', {
+    schema: {
+      tags: ['Admin'],
+      summary: 'Exporter le journal d\'audit',
+      description: 'Ordre chronologique, 10 000 événements au maximum (header X-Audit-Truncated sinon).',
+      querystring: {
+        type: 'object',
+        properties: {
+          ...AUDIT_FILTERS_SCHEMA,
+          format: { type: 'string', enum: ['csv', 'json'], default: 'csv' }
+        }
+      },
+      security: [{ apiKey: [] }]
+    },
+    config: { ...REQUEST_COSTS.export, scope: 'admin' },
+    preHandler: [fastify.authenticate, fastify.requireRole('admin')]
+  }, async (request, reply) => {
+    const { format = 'csv', ...filters } = request.query;
+
+    try {
+      const { events, truncated } = await auditService.export(filters);
+
+      // L'export est lui-même une action tracée
+      await auditService.record(request, {
+        action: 'admin.audit_export',
+        params: { ...filters, format, rows: events.length }
+      });
+
+      reply.header('X-Audit-Truncated', String(truncated));
+
+      if (format === 'json') {
+        return { success: true, data: events, truncated };
+      }
+
+      const rows = events.map(event => ({
+        ...event,
+        params: event.params ? JSON.stringify(event.params) : null
+      }));
+
+      return reply
+        .header('Content-Type', 'text/csv; charset=utf-8')
+        .header('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().substring(0, 10)}.csv"`)
+        .send(toCsv(rows, AUDIT_CSV_COLUMNS));
+
+    } catch (error) {
+      request.log.error(error);
+      return reply.status(500).send({
+        success: false,
+        error: 'EXPORT_ERROR',
+        message: 'Erreur lors de l\'export du journal d\'audit.'
+      });
+    }
+  });
+
+  // Sources d'inscription les plus actives
+  fastify.get('/signups/sources', {
+    schema: {
+      tags: ['Admin'],
+      summary: 'Sous-réseaux ayant créé plusieurs comptes',
+      querystring: {
+        type: 'object',
+        properties: {
+          hours: { type: 'integer', default: 24, minimum: 1, maximum: 720 },
+          minAccounts: { type: 'integer', default: 2, minimum: 1 }
+        }
+      },
+      security: [{ apiKey: [] }]
+    },
+    config: { scope: 'admin' },
+    preHandler: [fastify.authenticate, fastify.requireRole('admin')]
+  }, async (request, reply) => {
+    const { hours = 24, minAccounts = 2 } = request.query;
+
+    try {
+      const sources = await registrationGuard.listSources({ hours, minAccounts });
+
+      return {
+        success: true,
+        data: sources
+      };
+    } catch (error) {
+      request.log.error(error);
+      return reply.status(500).send({
+        success: false,
+        error: 'FETCH_ERROR',
+        message: 'Erreur lors de la récupération des sources d\'inscription.'
+      });
+    }
+  });
+
+  // Comptes créés depuis une source
+  fastify.get('/signups', {
+    schema: {
+      tags: ['Admin'],
+      summary: 'Comptes créés depuis une IP ou un sous-réseau',
+      querystring: {
+        type: 'object',
+        properties: {
+          ...SIGNUP_SOURCE_SCHEMA,
+          page: { type: 'integer', default: 1, minimum: 1 },
+          limit: { type: 'integer', default: 50, minimum: 1, maximum: 200 }
+        }
+      },
+      security: [{ apiKey: [] }]
+    },
+    config: { scope: 'admin' },
+    preHandler: [fastify.authenticate, fastify.requireRole('admin')]
+  }, async (request, reply) => {
+    const { page = 1, limit = 50, ip, subnet } = request.query;
+
+    const invalid = validateSignupSource({ ip, subnet });
+    if (invalid) {
+      return reply.status(400).send({
+        success: false,
+        error: 'INVALID_SOURCE',
+        message: invalid
+      });
+    }
+
+    try {
+      const { users, pagination } = await registrationGuard.listAccounts({ ip, subnet }, { page, limit });
+
+      return {
+        success: true,
+        data: users,
+        pagination
+      };
+    } catch (error) {
+      request.log.error(error);
+      return reply.status(500).send({
+        success: false,
+        error: 'FETCH_ERROR',
+        message: 'Erreur lors de la récupération des comptes.'
+      });
+    }
+  });
+
+  // Bannir les comptes d'une source
+  fastify.post('/signups/ban', {
+    schema: {
+      tags: ['Admin'],
+      summary: 'Bannir les comptes créés depuis une IP ou un sous-réseau',
+      description: 'Les clés API des comptes sont désactivées. Par défaut, la source est aussi bloquée pour les nouvelles inscriptions.',
+      body: {
+        type: 'object',
+        properties: {
+          ...SIGNUP_SOURCE_SCHEMA,
+          reason: { type: 'string', maxLength: 200 },
+          blockSource: { type: 'boolean', default: true }
+        }
+      },
+      security: [{ apiKey: [] }]
+    },
+    config: { scope: 'admin' },
+    preHandler: [fastify.authenticate, fastify.requireRole('admin')]
+  }, async (request, reply) => {
+    const { ip, subnet, reason, blockSource = true } = request.body || {};
+
+    const invalid = validateSignupSource({ ip, subnet });
+    if (invalid) {
+      return reply.status(400).send({
+        success: false,
+        error: 'INVALID_SOURCE',
+        message: invalid
+      });
+    }
+
+    try {
+      const result = await registrationGuard.ban({ ip, subnet }, {
+        reason: reason || null,
+        blockSource,
+        actorId: request.user.id
+      });
+
+      result.keyHashes.forEach(keyHash => invalidateKeyCache(keyHash));
+      result.userIds.forEach(userId => invalidateUserCache(userId));
+
+      await auditService.record(request, {
+        action: 'admin.signup_ban',
+        target: ip || subnet,
+        params: { reason, blockSource, userIds: result.userIds }
+      });
+
+      return {
+        success: true,
+        message: `${result.userIds.length} compte(s) banni(s).`,
+        data: {
+          bannedUsers: result.userIds.length,
+          disabledKeys: result.keyHashes.length,
+          block: result.block
+        }
+      };
+    } catch (error) {
+      request.log.error(error);
+      return reply.status(500).send({
+        success: false,
+        error: 'BAN_ERROR',
+        message: 'Erreur lors du bannissement.'
+      });
+    }
+  });
+
+  // Sources bloquées
+  fastify.get('/signups/blocks', {
+    schema: {
+      tags: ['Admin'],
+      summary: 'Lister les sources d\'inscription bloquées',
+      security: [{ apiKey: [] }]
+    },
+    config: { scope: 'admin' },
+    preHandler: [fastify.authenticate, fastify.requireRole('admin')]
+  }, async (request, reply) => {
+    try {
+      return {
+        success: true,
+        data: await registrationGuard.listBlocks()
+      };
+    } catch (error) {
+      request.log.error(error);
+      return reply.status(500).send({
+        success: false,
+        error: 'FETCH_ERROR',
+        message: 'Erreur lors de la récupération des sources bloquées.'
+      });
+    }
+  });
+
+  // Débloquer une source
+  fastify.delete('/signups/blocks/:id', {
+    schema: {
+      tags: ['Admin'],
+      summary: 'Débloquer une source d\'inscription',
+      description: 'Les comptes déjà bannis le restent.',
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' }
+        }
+      },
+      security: [{ apiKey: [] }]
+    },
+    config: { scope: 'admin' },
+    preHandler: [fastify.authenticate, fastify.requireRole('admin')]
+  }, async (request, reply) => {
+    try {
+      const block = await registrationGuard.removeBlock(request.params.id);
+      if (!block) {
+        return reply.status(404).send({
+          success: false,
+          error: 'NOT_FOUND',
+          message: 'Blocage non trouvé.'
+        });
+      }
+
+      await auditService.record(request, {
+        action: 'admin.signup_unblock',
+        target: block.source
+      });
+
+      return {
+        success: true,
+        message: `Source ${block.source} débloquée.`
+      };
+    } catch (error) {
+      request.log.error(error);
+      return reply.status(500).send({
+        success: false,
+        error: 'DELETE_ERROR',
+        message: 'Erreur lors du déblocage.'
+      });
+    }
+  });
 }
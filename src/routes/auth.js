@@ -1,17 +1,27 @@
 // Routes d'authentification - VERSION SÉCURISÉE
 import { PrismaClient } from '@prisma/client';
-import crypto from 'crypto';
 import { invalidateKeyCache } from '../middleware/auth.js';
+import {
+  generateApiKey,
+  rotateApiKey,
+  getDefaultGraceHours,
+  maskApiKey,
+  parseScopes,
+  isValidCidr,
+  API_KEY_SCOPES,
+  MAX_ALLOWED_IPS
+} from '../services/apiKeys.js';
+import { REQUEST_COSTS } from '../services/quota.js';
+import { usageAnalytics, USAGE_CSV_COLUMNS } from '../services/usageAnalytics.js';
+import { toCsv } from '../utils/helpers.js';
+import { auditService } from '../services/audit.js';
+import { accountService } from '../services/accounts.js';
+import { registrationGuard } from '../services/registrationGuard.js';
 
 const prisma = new PrismaClient();
 
-/**
- * 🔒 Générer une clé API sécurisée avec crypto
- */
-function generateSecureApiKey() {
-  const randomBytes = crypto.randomBytes(24);
-  return `immo_${randomBytes.toString('base64url')}`;
-}
+// Routes qui envoient un email: limite par IP plus stricte que RATE_LIMIT_MAX
+const EMAIL_RATE_LIMIT = { max: 5, timeWindow: 60000 };
 
 /**
  * 🔒 Valider un email
@@ -21,6 +31,17 @@ function isValidEmail(email) {
   return regex.test(email) && email.length <= 255;
 }
 
+/**
+ * Envoyer le refus d'une opération du service
+ */
+function sendRefusal(reply, result) {
+  return reply.status(result.status).send({
+    success: false,
+    error: result.error,
+    message: result.message
+  });
+}
+
 /**
  * 🔒 Nettoyer une chaîne (anti-XSS)
  */
@@ -31,11 +52,12 @@ function sanitize(str) {
 
 export default async function authRoutes(fastify) {
 
-  // 🔒 Créer un compte
+  // 🔒 Créer un compte (en attente jusqu'à la confirmation de l'email)
   fastify.post('/register', {
     schema: {
       tags: ['Authentification'],
-      summary: 'Créer un compte et obtenir une clé API',
+      summary: 'Créer un compte',
+      description: 'Envoie un lien de confirmation par email. La clé API est délivrée par POST /api/auth/verify.',
       body: {
         type: 'object',
         required: ['email'],
@@ -44,7 +66,8 @@ export default async function authRoutes(fastify) {
           name: { type: 'string' }
         }
       }
-    }
+    },
+    config: { rateLimit: EMAIL_RATE_LIMIT }
   }, async (request, reply) => {
     const { email, name } = request.body;
 
@@ -57,78 +80,81 @@ export default async function authRoutes(fastify) {
     }
 
     try {
-      const existingUser = await prisma.user.findUnique({
-        where: { email: email.toLowerCase().trim() }
-      });
-
-      if (existingUser) {
-        return reply.status(400).send({
-          success: false,
-          error: 'EMAIL_EXISTS',
-          message: 'Un compte existe déjà avec cet email.'
+      const normalizedEmail = email.toLowerCase().trim();
+
+      // 🔒 Domaines jetables, sources bloquées, limites par IP et sous-réseau
+      const source = await registrationGuard.check(normalizedEmail, request.ip);
+      const result = source.error
+        ? source
+        : await accountService.register(normalizedEmail, sanitize(name), source);
+
+      if (result.error) {
+        await auditService.record(request, {
+          action: 'account.register',
+          params: { email: normalizedEmail, reason: result.error },
+          outcome: 'denied'
         });
+        return sendRefusal(reply, result);
       }
 
-      // Récupérer ou créer le plan gratuit
-      let freePlan = await prisma.plan.findUnique({ where: { name: 'free' } });
-      
-      if (!freePlan) {
-        freePlan = await prisma.plan.create({
-          data: {
-            name: 'free',
-            displayName: 'Gratuit',
-            price: 0,
-            requestsLimit: 100,
-            rateLimit: 10,
-            features: JSON.stringify(['100 requêtes/mois', 'Support email'])
-          }
-        });
-      }
+      request.log.info({ msg: '📧 Inscription en attente de confirmation', userId: result.user.id });
+      await auditService.record(request, { action: 'account.register', actorId: result.user.id, target: result.user.id });
 
-      // Créer l'utilisateur
-      const user = await prisma.user.create({
+      return reply.status(202).send({
+        success: true,
+        message: 'Compte créé. Confirmez votre email avec le lien reçu pour obtenir votre clé API.',
         data: {
-          email: email.toLowerCase().trim(),
-          name: sanitize(name)
+          userId: result.user.id,
+          email: result.user.email,
+          status: 'pending_verification',
+          expiresAt: result.expiresAt
         }
       });
 
-      // 🔒 Générer une clé API sécurisée
-      const apiKey = generateSecureApiKey();
-      
-      await prisma.apiKey.create({
-        data: {
-          key: apiKey,
-          name: 'Default',
-          userId: user.id
-        }
+    } catch (error) {
+      request.log.error(error);
+      return reply.status(500).send({
+        success: false,
+        error: 'REGISTRATION_ERROR',
+        message: 'Erreur lors de la création du compte.'
       });
+    }
+  });
 
-      // Créer l'abonnement
-      const periodEnd = new Date();
-      periodEnd.setMonth(periodEnd.getMonth() + 1);
-
-      await prisma.subscription.create({
-        data: {
-          userId: user.id,
-          planId: freePlan.id,
-          periodEnd
+  // Confirmer son email et obtenir sa clé API
+  fastify.post('/verify', {
+    schema: {
+      tags: ['Authentification'],
+      summary: 'Confirmer son email et obtenir une clé API',
+      body: {
+        type: 'object',
+        required: ['token'],
+        properties: {
+          token: { type: 'string', maxLength: 1024, description: 'Jeton reçu par email' }
         }
-      });
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const result = await accountService.verify(request.body.token);
+      if (result.error) return sendRefusal(reply, result);
+
+      const { user, subscription, apiKey } = result;
 
-      request.log.info({ msg: '✅ Nouveau compte créé', userId: user.id });
+      request.log.info({ msg: '✅ Nouveau compte activé', userId: user.id });
+      await auditService.record(request, { action: 'account.verify', actorId: user.id, target: user.id });
 
       return reply.status(201).send({
         success: true,
-        message: 'Compte créé avec succès !',
+        message: 'Email confirmé ! Conservez votre clé API: elle ne sera plus affichée.',
         data: {
           userId: user.id,
           email: user.email,
           apiKey: apiKey,
-          plan: 'free',
+          plan: subscription.plan.name,
           quotas: {
-            requestsPerMonth: freePlan.requestsLimit,
-            ratePerMinute: freePlan.rateLimit
+            requestsPerMonth: subscription.plan.requestsLimit,
+            ratePerMinute: subscription.plan.rateLimit
           }
         }
       });
@@ -137,8 +163,100 @@ export default async function authRoutes(fastify) {
       request.log.error(error);
       return reply.status(500).send({
         success: false,
-        error: 'REGISTRATION_ERROR',
-        message: 'Erreur lors de la création du compte.'
+        error: 'VERIFICATION_ERROR',
+        message: 'Erreur lors de la confirmation de l\'email.'
+      });
+    }
+  });
+
+  // Demander un lien de récupération
+  fastify.post('/recover', {
+    schema: {
+      tags: ['Authentification'],
+      summary: 'Recevoir un lien de récupération par email',
+      description: 'Pour obtenir une nouvelle clé API après la perte de toutes ses clés. '
+        + 'La réponse est identique que le compte existe ou non.',
+      body: {
+        type: 'object',
+        required: ['email'],
+        properties: {
+          email: { type: 'string', format: 'email' }
+        }
+      }
+    },
+    config: { rateLimit: EMAIL_RATE_LIMIT }
+  }, async (request, reply) => {
+    try {
+      const result = await accountService.requestRecovery(request.body.email.toLowerCase().trim());
+
+      if (result.sent) {
+        await auditService.record(request, { action: 'account.recovery_request', actorId: result.userId, target: result.userId });
+      }
+
+      return reply.status(202).send({
+        success: true,
+        message: 'Si un compte existe pour cet email, un lien de récupération vient d\'être envoyé.'
+      });
+
+    } catch (error) {
+      request.log.error(error);
+      return reply.status(500).send({
+        success: false,
+        error: 'RECOVERY_ERROR',
+        message: 'Erreur lors de la demande de récupération.'
+      });
+    }
+  });
+
+  // 🔒 Récupérer son compte: nouvelle clé, anciennes clés désactivées
+  fastify.post('/recover/confirm', {
+    schema: {
+      tags: ['Authentification'],
+      summary: 'Obtenir une nouvelle clé API avec le lien de récupération',
+      description: 'Toutes les clés actives du compte sont désactivées. Le lien n\'est utilisable qu\'une fois.',
+      body: {
+        type: 'object',
+        required: ['token'],
+        properties: {
+          token: { type: 'string', maxLength: 1024, description: 'Jeton reçu par email' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const result = await accountService.recover(request.body.token);
+      if (result.error) return sendRefusal(reply, result);
+
+      const { user, key, apiKey, revokedKeys } = result;
+
+      revokedKeys.forEach(revoked => invalidateKeyCache(revoked.keyHash));
+
+      request.log.warn({ msg: '🔑 Compte récupéré', userId: user.id, revokedKeys: revokedKeys.length });
+      await auditService.record(request, {
+        action: 'account.recover',
+        actorId: user.id,
+        target: user.id,
+        params: { keyId: key.id, revokedKeyIds: revokedKeys.map(revoked => revoked.id) }
+      });
+
+      return reply.status(201).send({
+        success: true,
+        message: 'Nouvelle clé API créée, les précédentes sont désactivées. Conservez-la: elle ne sera plus affichée.',
+        data: {
+          keyId: key.id,
+          apiKey: apiKey,
+          name: key.name,
+          revokedKeys: revokedKeys.length,
+          createdAt: key.createdAt
+        }
+      });
+
+    } catch (error) {
+      request.log.error(error);
+      return reply.status(500).send({
+        success: false,
+        error: 'RECOVERY_ERROR',
+        message: 'Erreur lors de la récupération du compte.'
       });
     }
   });
@@ -148,17 +266,60 @@ export default async function authRoutes(fastify) {
     schema: {
       tags: ['Authentification'],
       summary: 'Générer une nouvelle clé API',
+      description: 'Portées, expiration et IP autorisées sont optionnelles. Sans portées, la clé reprend celles de la clé appelante.',
       body: {
         type: 'object',
         properties: {
-          keyName: { type: 'string', default: 'New Key' }
+          keyName: { type: 'string', default: 'New Key' },
+          scopes: {
+            type: 'array',
+            items: { type: 'string', enum: API_KEY_SCOPES },
+            minItems: 1,
+            uniqueItems: true
+          },
+          expiresAt: { type: 'string', format: 'date-time', description: 'Date d\'expiration' },
+          allowedIps: {
+            type: 'array',
+            items: { type: 'string' },
+            maxItems: MAX_ALLOWED_IPS,
+            description: 'Adresses ou plages CIDR autorisées (ex: 203.0.113.0/24)'
+          }
         }
       },
       security: [{ apiKey: [] }]
     },
+    config: { scope: 'keys:manage' },
     preHandler: [fastify.authenticate]
   }, async (request, reply) => {
-    const { keyName } = request.body || {};
+    const { keyName, scopes, expiresAt, allowedIps } = request.body || {};
+
+    // 🔒 Une clé ne peut pas créer de clé plus puissante qu'elle
+    const callerScopes = request.apiKeyScopes;
+    const keyScopes = scopes || callerScopes;
+    if (callerScopes && !keyScopes.every(scope => callerScopes.includes(scope))) {
+      return reply.status(403).send({
+        success: false,
+        error: 'INSUFFICIENT_SCOPE',
+        message: 'Les portées demandées dépassent celles de la clé utilisée.'
+      });
+    }
+
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      return reply.status(400).send({
+        success: false,
+        error: 'INVALID_EXPIRY',
+        message: 'La date d\'expiration doit être dans le futur.'
+      });
+    }
+
+    const invalidIp = (allowedIps || []).find(cidr => !isValidCidr(cidr));
+    if (invalidIp) {
+      return reply.status(400).send({
+        success: false,
+        error: 'INVALID_IP_RANGE',
+        message: `Adresse ou plage IP invalide: ${invalidIp}`
+      });
+    }
 
     try {
       // 🔒 Limiter à 5 clés par utilisateur
@@ -174,23 +335,36 @@ export default async function authRoutes(fastify) {
         });
       }
 
-      const apiKey = generateSecureApiKey();
-      
+      const { apiKey, keyHash, prefix } = generateApiKey();
+
       const newKey = await prisma.apiKey.create({
         data: {
-          key: apiKey,
+          keyHash,
+          prefix,
           name: sanitize(keyName) || 'New Key',
-          userId: request.user.id
+          userId: request.user.id,
+          scopes: keyScopes ? JSON.stringify(keyScopes) : null,
+          expiresAt: expiresAt ? new Date(expiresAt) : null,
+          allowedIps: allowedIps?.length ? JSON.stringify(allowedIps.map(cidr => cidr.trim())) : null
         }
       });
 
+      await auditService.record(request, {
+        action: 'api_key.create',
+        target: newKey.id,
+        params: { name: newKey.name, scopes: keyScopes, expiresAt, allowedIps }
+      });
+
       return reply.status(201).send({
         success: true,
-        message: 'Nouvelle clé API créée',
+        message: 'Nouvelle clé API créée. Conservez-la: elle ne sera plus affichée.',
         data: {
           keyId: newKey.id,
           apiKey: apiKey,
           name: newKey.name,
+          scopes: keyScopes,
+          expiresAt: newKey.expiresAt,
+          allowedIps: allowedIps || null,
           createdAt: newKey.createdAt
         }
       });
@@ -212,6 +386,7 @@ export default async function authRoutes(fastify) {
       summary: 'Lister vos clés API',
       security: [{ apiKey: [] }]
     },
+    config: { scope: 'keys:manage' },
     preHandler: [fastify.authenticate]
   }, async (request, reply) => {
     try {
@@ -220,17 +395,24 @@ export default async function authRoutes(fastify) {
         select: {
           id: true,
           name: true,
-          key: true,
+          prefix: true,
+          scopes: true,
+          expiresAt: true,
+          allowedIps: true,
+          replacedById: true,
+          graceEndsAt: true,
           isActive: true,
           createdAt: true,
           lastUsed: true
         }
       });
 
-      // 🔒 Masquer les clés
+      // 🔒 Seul le préfixe est connu: la clé complète n'est affichée qu'à sa création
       const maskedKeys = keys.map(k => ({
         ...k,
-        key: k.key.substring(0, 10) + '****' + k.key.slice(-4)
+        key: maskApiKey(k.prefix),
+        scopes: parseScopes(k.scopes),
+        allowedIps: k.allowedIps ? JSON.parse(k.allowedIps) : null
       }));
 
       return { success: true, data: maskedKeys };
@@ -258,6 +440,7 @@ export default async function authRoutes(fastify) {
       },
       security: [{ apiKey: [] }]
     },
+    config: { scope: 'keys:manage' },
     preHandler: [fastify.authenticate]
   }, async (request, reply) => {
     const { keyId } = request.params;
@@ -281,7 +464,9 @@ export default async function authRoutes(fastify) {
       });
 
       // 🔒 Invalider le cache
-      invalidateKeyCache(key.key);
+      invalidateKeyCache(key.keyHash);
+
+      await auditService.record(request, { action: 'api_key.disable', target: keyId });
 
       return { success: true, message: 'Clé désactivée.' };
 
@@ -295,6 +480,112 @@ export default async function authRoutes(fastify) {
     }
   });
 
+  // 🔒 Remplacer une clé API sans interruption
+  fastify.post('/keys/:keyId/rotate', {
+    schema: {
+      tags: ['Authentification'],
+      summary: 'Remplacer une clé API',
+      description: 'Crée une nouvelle clé avec les mêmes droits. L\'ancienne reste valide pendant la période de chevauchement, puis est désactivée.',
+      params: {
+        type: 'object',
+        properties: {
+          keyId: { type: 'string' }
+        }
+      },
+      body: {
+        type: 'object',
+        properties: {
+          gracePeriodHours: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 720,
+            description: 'Durée de validité de l\'ancienne clé (défaut: API_KEY_ROTATION_GRACE_HOURS)'
+          }
+        }
+      },
+      security: [{ apiKey: [] }]
+    },
+    config: { scope: 'keys:manage' },
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const { keyId } = request.params;
+    const { gracePeriodHours = getDefaultGraceHours() } = request.body || {};
+
+    try {
+      const key = await prisma.apiKey.findFirst({
+        where: { id: keyId, userId: request.user.id }
+      });
+
+      if (!key) {
+        return reply.status(404).send({
+          success: false,
+          error: 'KEY_NOT_FOUND',
+          message: 'Clé non trouvée.'
+        });
+      }
+
+      // 🔒 La nouvelle clé reprend les droits de l'ancienne: ils doivent être couverts par la clé appelante
+      const callerScopes = request.apiKeyScopes;
+      const keyScopes = parseScopes(key.scopes);
+      if (callerScopes && (!keyScopes || !keyScopes.every(scope => callerScopes.includes(scope)))) {
+        return reply.status(403).send({
+          success: false,
+          error: 'INSUFFICIENT_SCOPE',
+          message: 'Les portées de cette clé dépassent celles de la clé utilisée.'
+        });
+      }
+
+      const rotation = key.isActive && !key.replacedById
+        ? await rotateApiKey(key, gracePeriodHours)
+        : null;
+
+      if (!rotation) {
+        return reply.status(409).send({
+          success: false,
+          error: 'KEY_NOT_ROTATABLE',
+          message: 'Cette clé est désactivée ou a déjà été remplacée.'
+        });
+      }
+
+      const { apiKey, newKey, previousKey } = rotation;
+
+      // L'ancienne clé en cache doit voir sa date de fin
+      invalidateKeyCache(key.keyHash);
+
+      await auditService.record(request, {
+        action: 'api_key.rotate',
+        target: key.id,
+        params: { newKeyId: newKey.id, gracePeriodHours }
+      });
+
+      return reply.status(201).send({
+        success: true,
+        message: 'Nouvelle clé API créée. Conservez-la: elle ne sera plus affichée.',
+        data: {
+          keyId: newKey.id,
+          apiKey,
+          name: newKey.name,
+          scopes: parseScopes(newKey.scopes),
+          expiresAt: newKey.expiresAt,
+          createdAt: newKey.createdAt,
+          previousKey: {
+            keyId: previousKey.id,
+            graceEndsAt: previousKey.graceEndsAt,
+            lastUsed: previousKey.lastUsed
+          }
+        }
+      });
+
+    } catch (error) {
+      request.log.error(error);
+      return reply.status(500).send({
+        success: false,
+        error: 'KEY_ROTATION_ERROR',
+        message: 'Erreur lors du remplacement de la clé.'
+      });
+    }
+  });
+
   // Voir son profil
   fastify.get('/me', {
     schema: {
@@ -302,6 +593,7 @@ export default async function authRoutes(fastify) {
       summary: 'Voir son profil et son usage',
       security: [{ apiKey: [] }]
     },
+    config: { scope: 'account:read' },
     preHandler: [fastify.authenticate]
   }, async (request, reply) => {
     try {
@@ -315,6 +607,17 @@ export default async function authRoutes(fastify) {
 
       const sub = user.subscription;
 
+      // Consommation de la période par catégorie d'endpoint
+      const byCategory = sub ? await prisma.usageLog.groupBy({
+        by: ['category'],
+        where: {
+          userId: user.id,
+          createdAt: { gte: sub.periodStart }
+        },
+        _sum: { cost: true },
+        _count: { _all: true }
+      }) : [];
+
       return {
         success: true,
         data: {
@@ -322,6 +625,8 @@ export default async function authRoutes(fastify) {
             id: user.id,
             email: user.email,
             name: user.name,
+            role: user.role,
+            emailVerified: Boolean(user.emailVerifiedAt),
             createdAt: user.createdAt
           },
           plan: sub ? {
@@ -333,7 +638,16 @@ export default async function authRoutes(fastify) {
             requestsUsed: sub.requestsUsed,
             requestsLimit: sub.plan.requestsLimit,
             percentUsed: Math.round((sub.requestsUsed / sub.plan.requestsLimit) * 100),
-            periodEnd: sub.periodEnd
+            periodStart: sub.periodStart,
+            periodEnd: sub.periodEnd,
+            byCategory: byCategory.reduce((acc, item) => {
+              acc[item.category] = {
+                requests: item._count._all,
+                cost: item._sum.cost || 0
+              };
+              return acc;
+            }, {}),
+            costs: REQUEST_COSTS
           } : null,
           apiKeysCount: user._count.apiKeys
         }
@@ -348,4 +662,65 @@ export default async function authRoutes(fastify) {
       });
     }
   });
+
+  // Statistiques d'usage détaillées
+  fastify.get('/usage', {
+    schema: {
+      tags: ['Authentification'],
+      summary: 'Statistiques d\'usage par période, clé API et endpoint',
+      description: 'Requêtes, taux d\'erreur, coût et latences p50/p95 exactes. `format=csv` pour un export détaillé (10 000 lignes au maximum, header X-Usage-Truncated).',
+      querystring: {
+        type: 'object',
+        properties: {
+          from: { type: 'string', format: 'date-time', description: 'Début (défaut: il y a 7 jours)' },
+          to: { type: 'string', format: 'date-time', description: 'Fin (défaut: maintenant)' },
+          bucket: { type: 'string', enum: ['hour', 'day'], default: 'day', description: 'Par heure: 7 jours au maximum' },
+          apiKeyId: { type: 'string', description: 'Limiter à une clé API' },
+          format: { type: 'string', enum: ['json', 'csv'], default: 'json' }
+        }
+      },
+      security: [{ apiKey: [] }]
+    },
+    config: { scope: 'account:read', costByFormat: { csv: REQUEST_COSTS.export } },
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const { apiKeyId, format = 'json' } = request.query;
+
+    const range = usageAnalytics.resolveRange(request.query);
+    if (range.error) {
+      return reply.status(400).send({
+        success: false,
+        error: 'INVALID_RANGE',
+        message: range.error
+      });
+    }
+
+    try {
+      if (format === 'csv') {
+        const { rows, truncated } = await usageAnalytics.getCsvRows(request.user.id, { ...range, apiKeyId });
+        const day = date => date.toISOString().substring(0, 10);
+
+        return reply
+          .header('X-Usage-Truncated', String(truncated))
+          .header('Content-Type', 'text/csv; charset=utf-8')
+          .header('Content-Disposition', `attachment; filename="usage-${day(range.from)}-${day(range.to)}.csv"`)
+          .send(toCsv(rows, USAGE_CSV_COLUMNS));
+      }
+
+      const report = await usageAnalytics.getReport(request.user.id, { ...range, apiKeyId });
+
+      return {
+        success: true,
+        data: report
+      };
+
+    } catch (error) {
+      request.log.error(error);
+      return reply.status(500).send({
+        success: false,
+        error: 'FETCH_ERROR',
+        message: 'Erreur lors de la récupération de l\'usage.'
+      });
+    }
+  });
 }
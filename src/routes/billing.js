@@ -0,0 +1,76 @@
+// Webhook de facturation (format Stripe)
+// Non authentifié par clé API: l'origine est prouvée par l'en-tête Stripe-Signature
+import { billingService } from '../services/billing.js';
+import { invalidateUserCache } from '../middleware/auth.js';
+
+export default async function billingRoutes(fastify) {
+
+  // Corps brut conservé: la signature porte sur les octets reçus, pas sur le JSON reformaté
+  fastify.addContentTypeParser('application/json', { parseAs: 'string' }, (request, body, done) => {
+    request.rawBody = body;
+    try {
+      done(null, JSON.parse(body));
+    } catch (error) {
+      error.statusCode = 400;
+      done(error);
+    }
+  });
+
+  // Recevoir un événement de facturation
+  fastify.post('/webhook', {
+    schema: {
+      tags: ['Abonnement'],
+      summary: 'Webhook de facturation (Stripe)',
+      description: 'Événements traités: checkout.session.completed, invoice.paid, invoice.payment_failed, '
+        + 'customer.subscription.deleted. Un événement déjà traité est acquitté sans être rejoué.',
+      headers: {
+        type: 'object',
+        required: ['stripe-signature'],
+        properties: {
+          'stripe-signature': { type: 'string' }
+        }
+      },
+      body: {
+        type: 'object',
+        required: ['id', 'type'],
+        properties: {
+          id: { type: 'string' },
+          type: { type: 'string' },
+          data: { type: 'object' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    if (!billingService.verify(request.rawBody, request.headers['stripe-signature'])) {
+      return reply.status(400).send({
+        success: false,
+        error: 'INVALID_SIGNATURE',
+        message: 'Signature du webhook invalide ou expirée.'
+      });
+    }
+
+    const event = request.body;
+
+    try {
+      const result = await billingService.handleEvent(event, request.rawBody);
+
+      // Plan et quota à jour dès la prochaine requête du client
+      if (result.userId) invalidateUserCache(result.userId);
+
+      request.log.info({ eventId: event.id, type: event.type, status: result.status }, 'Événement de facturation');
+
+      return {
+        received: true,
+        status: result.status
+      };
+    } catch (error) {
+      request.log.error(error);
+      // 500: Stripe renverra l'événement, retraité car marqué failed
+      return reply.status(500).send({
+        success: false,
+        error: 'BILLING_EVENT_ERROR',
+        message: 'Erreur lors du traitement de l\'événement.'
+      });
+    }
+  });
+}
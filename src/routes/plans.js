@@ -0,0 +1,44 @@
+// Routes publiques des plans tarifaires
+import { PrismaClient } from '@prisma/client';
+import { getPlanEntitlements } from '../middleware/features.js';
+
+const prisma = new PrismaClient();
+
+export default async function plansRoutes(fastify) {
+
+  // Lister les plans
+  fastify.get('/', {
+    schema: {
+      tags: ['Abonnement'],
+      summary: 'Lister les plans tarifaires',
+      description: 'Prix mensuel, quota de requêtes, limite par minute et fonctionnalités incluses de chaque plan.'
+    }
+  }, async (request, reply) => {
+    try {
+      const plans = await prisma.plan.findMany({
+        orderBy: { price: 'asc' }
+      });
+
+      return {
+        success: true,
+        data: plans.map(plan => ({
+          name: plan.name,
+          displayName: plan.displayName,
+          price: plan.price,
+          currency: 'EUR',
+          requestsLimit: plan.requestsLimit,
+          rateLimit: plan.rateLimit,
+          features: JSON.parse(plan.features),
+          entitlements: getPlanEntitlements(plan)
+        }))
+      };
+    } catch (error) {
+      request.log.error(error);
+      return reply.status(500).send({
+        success: false,
+        error: 'FETCH_ERROR',
+        message: 'Erreur lors de la récupération des plans.'
+      });
+    }
+  });
+}
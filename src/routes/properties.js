@@ -1,6 +1,11 @@
 // Routes pour les propriétés immobilières
 import { PrismaClient } from '@prisma/client';
 import { scraper } from '../services/scraper.js';
+import { propertyStore, withPriceFlags } from '../services/propertyStore.js';
+import {
+  PROPERTY_FILTERS_SCHEMA, buildPropertyWhere, countPropertyGroups, findPropertyGroupPage
+} from '../services/propertyFilters.js';
+import { auditService } from '../services/audit.js';
 
 const prisma = new PrismaClient();
 
@@ -15,24 +20,8 @@ export default async function propertiesRoutes(fastify) {
       querystring: {
         type: 'object',
         properties: {
-          city: { type: 'string', description: 'Filtrer par ville' },
-          postalCode: { type: 'string', description: 'Filtrer par code postal' },
-          department: { type: 'string', description: 'Filtrer par département' },
-          propertyType: { 
-            type: 'string', 
-            enum: ['appartement', 'maison', 'studio', 'loft', 'terrain'],
-            description: 'Type de bien'
-          },
-          transactionType: { 
-            type: 'string', 
-            enum: ['vente', 'location'],
-            description: 'Type de transaction'
-          },
-          minPrice: { type: 'number', description: 'Prix minimum' },
-          maxPrice: { type: 'number', description: 'Prix maximum' },
-          minSurface: { type: 'number', description: 'Surface minimum (m²)' },
-          maxSurface: { type: 'number', description: 'Surface maximum (m²)' },
-          rooms: { type: 'integer', description: 'Nombre de pièces' },
+          ...PROPERTY_FILTERS_SCHEMA,
+          dedupe: { type: 'boolean', default: false, description: 'Une seule ligne par bien, avec la liste de ses sources' },
           page: { type: 'integer', default: 1, minimum: 1 },
           limit: { type: 'integer', default: 20, minimum: 1, maximum: 100 },
           sortBy: { 
@@ -61,7 +50,28 @@ export default async function propertiesRoutes(fastify) {
                   rooms: { type: 'integer' },
                   city: { type: 'string' },
                   propertyType: { type: 'string' },
-                  transactionType: { type: 'string' }
+                  transactionType: { type: 'string' },
+                  isMultiAsset: { type: 'boolean' },
+                  lotCount: { type: 'integer', nullable: true },
+                  status: { type: 'string' },
+                  previousPrice: { type: 'number', nullable: true },
+                  priceChangedAt: { type: 'string', format: 'date-time', nullable: true },
+                  priceDropped: { type: 'boolean' },
+                  priceChangePct: { type: 'number', nullable: true },
+                  groupId: { type: 'string', nullable: true },
+                  sources: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        id: { type: 'string' },
+                        source: { type: 'string' },
+                        externalId: { type: 'string' },
+                        price: { type: 'number', nullable: true },
+                        url: { type: 'string' }
+                      }
+                    }
+                  }
                 }
               }
             },
@@ -78,46 +88,33 @@ export default async function propertiesRoutes(fastify) {
         }
       }
     },
+    config: { scope: 'properties:read' },
     preHandler: [fastify.authenticate]
   }, async (request, reply) => {
     const {
-      city, postalCode, department, propertyType, transactionType,
-      minPrice, maxPrice, minSurface, maxSurface, rooms,
-      page = 1, limit = 20, sortBy = 'scrapedAt', sortOrder = 'desc'
+      dedupe = false, page = 1, limit = 20, sortBy = 'scrapedAt', sortOrder = 'desc'
     } = request.query;
 
     try {
       // Construire les filtres
-      const where = {};
-      
-      if (city) where.city = { contains: city };
-      if (postalCode) where.postalCode = postalCode;
-      if (department) where.department = department;
-      if (propertyType) where.propertyType = propertyType;
-      if (transactionType) where.transactionType = transactionType;
-      if (rooms) where.rooms = rooms;
-      
-      if (minPrice || maxPrice) {
-        where.price = {};
-        if (minPrice) where.price.gte = minPrice;
-        if (maxPrice) where.price.lte = maxPrice;
-      }
-      
-      if (minSurface || maxSurface) {
-        where.surface = {};
-        if (minSurface) where.surface.gte = minSurface;
-        if (maxSurface) where.surface.lte = maxSurface;
-      }
+      const where = buildPropertyWhere(request.query);
+
+      // Mode dédoublonné: une ligne par groupe de doublons
+      const total = dedupe
+        ? await countPropertyGroups(request.query)
+        : await prisma.property.count({ where });
 
-      // Compter le total
-      const total = await prisma.property.count({ where });
+      // Mode dédoublonné: la page de groupes est calculée en base, puis ses lignes lues par id
+      const skip = (page - 1) * limit;
+      const groupIds = dedupe
+        ? await findPropertyGroupPage(request.query, { sortBy, sortOrder, skip, take: limit })
+        : null;
 
       // Récupérer les propriétés
       const properties = await prisma.property.findMany({
-        where,
-        orderBy: { [sortBy]: sortOrder },
-        skip: (page - 1) * limit,
-        take: limit,
+        ...(dedupe
+          ? { where: { id: { in: groupIds } } }
+          : { where, orderBy: { [sortBy]: sortOrder }, skip, take: limit }),
         select: {
           id: true,
           externalId: true,
@@ -130,6 +127,12 @@ export default async function propertiesRoutes(fastify) {
           bedrooms: true,
           propertyType: true,
           transactionType: true,
+          isMultiAsset: true,
+          lotCount: true,
+          status: true,
+          previousPrice: true,
+          priceChangedAt: true,
+          groupId: true,
           city: true,
           postalCode: true,
           department: true,
@@ -139,9 +142,24 @@ export default async function propertiesRoutes(fastify) {
         }
       });
 
+      // Sources de chaque groupe affiché, dans l'ordre de la page
+      if (dedupe) {
+        properties.sort((a, b) => groupIds.indexOf(a.id) - groupIds.indexOf(b.id));
+
+        const members = await prisma.property.findMany({
+          where: { groupId: { in: properties.map(p => p.groupId).filter(Boolean) } },
+          select: { id: true, groupId: true, source: true, externalId: true, price: true, url: true },
+          orderBy: { scrapedAt: 'asc' }
+        });
+
+        for (const property of properties) {
+          property.sources = members.filter(m => m.groupId === property.groupId);
+        }
+      }
+
       return {
         success: true,
-        data: properties,
+        data: properties.map(withPriceFlags),
         pagination: {
           page,
           limit,
@@ -174,6 +192,7 @@ export default async function propertiesRoutes(fastify) {
       },
       security: [{ apiKey: [] }]
     },
+    config: { scope: 'properties:read' },
     preHandler: [fastify.authenticate]
   }, async (request, reply) => {
     const { id } = request.params;
@@ -204,11 +223,58 @@ export default async function propertiesRoutes(fastify) {
     }
   });
 
+  // Historique des prix d'une propriété
+  fastify.get('/:id/history', {
+    schema: {
+      tags: ['Propriétés'],
+      summary: 'Historique des prix d\'une propriété',
+      description: 'Chronologie des changements de prix, surface et statut relevés à chaque scraping.',
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string', description: 'ID ou externalId de la propriété' }
+        }
+      },
+      security: [{ apiKey: [] }]
+    },
+    config: { scope: 'properties:read' },
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const { id } = request.params;
+
+    try {
+      const history = await propertyStore.getHistory(id);
+
+      if (!history) {
+        return reply.status(404).send({
+          success: false,
+          error: 'NOT_FOUND',
+          message: 'Propriété non trouvée.'
+        });
+      }
+
+      return {
+        success: true,
+        data: history
+      };
+
+    } catch (error) {
+      request.log.error(error);
+      return reply.status(500).send({
+        success: false,
+        error: 'FETCH_ERROR',
+        message: 'Erreur lors de la récupération de l\'historique.'
+      });
+    }
+  });
+
   // Supprimer une propriété du cache (admin)
   fastify.delete('/:id', {
     schema: {
       tags: ['Propriétés'],
       summary: 'Supprimer une propriété du cache',
+      description: 'Réservé aux administrateurs.',
       params: {
         type: 'object',
         required: ['id'],
@@ -218,7 +284,8 @@ export default async function propertiesRoutes(fastify) {
       },
       security: [{ apiKey: [] }]
     },
-    preHandler: [fastify.authenticate]
+    config: { scope: 'admin' },
+    preHandler: [fastify.authenticate, fastify.requireRole('admin')]
   }, async (request, reply) => {
     const { id } = request.params;
 
@@ -227,6 +294,8 @@ export default async function propertiesRoutes(fastify) {
         where: { id }
       });
 
+      await auditService.record(request, { action: 'property.delete', target: id });
+
       return {
         success: true,
         message: 'Propriété supprimée du cache.'
@@ -234,6 +303,7 @@ export default async function propertiesRoutes(fastify) {
 
     } catch (error) {
       if (error.code === 'P2025') {
+        await auditService.record(request, { action: 'property.delete', target: id, outcome: 'failure' });
         return reply.status(404).send({
           success: false,
           error: 'NOT_FOUND',
@@ -242,6 +312,7 @@ export default async function propertiesRoutes(fastify) {
       }
 
       request.log.error(error);
+      await auditService.record(request, { action: 'property.delete', target: id, outcome: 'failure' });
       return reply.status(500).send({
         success: false,
         error: 'DELETE_ERROR',
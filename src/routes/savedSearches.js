@@ -0,0 +1,260 @@
+// Routes des recherches sauvegardées (alertes nouvelles annonces)
+import { PrismaClient } from '@prisma/client';
+import { PROPERTY_FILTERS_SCHEMA, pickPropertyFilters } from '../services/propertyFilters.js';
+
+const prisma = new PrismaClient();
+
+const MAX_SAVED_SEARCHES_PER_USER = 20;
+
+/**
+ * Formater une recherche pour la réponse
+ */
+function formatSavedSearch(savedSearch) {
+  return {
+    id: savedSearch.id,
+    name: savedSearch.name,
+    filters: JSON.parse(savedSearch.filters),
+    webhookId: savedSearch.webhookId,
+    isActive: savedSearch.isActive,
+    lastCheckedAt: savedSearch.lastCheckedAt,
+    lastMatchCount: savedSearch.lastMatchCount,
+    createdAt: savedSearch.createdAt
+  };
+}
+
+export default async function savedSearchesRoutes(fastify) {
+
+  /**
+   * Vérifier qu'un webhook appartient à l'utilisateur
+   */
+  async function ownsWebhook(userId, webhookId) {
+    const webhook = await prisma.webhook.findFirst({
+      where: { id: webhookId, userId },
+      select: { id: true }
+    });
+    return Boolean(webhook);
+  }
+
+  // Lister ses recherches
+  fastify.get('/', {
+    schema: {
+      tags: ['Recherches sauvegardées'],
+      summary: 'Lister ses recherches sauvegardées',
+      security: [{ apiKey: [] }]
+    },
+    config: { scope: 'webhooks:manage' },
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    try {
+      const searches = await prisma.savedSearch.findMany({
+        where: { userId: request.user.id },
+        orderBy: { createdAt: 'desc' }
+      });
+
+      return {
+        success: true,
+        data: searches.map(formatSavedSearch)
+      };
+    } catch (error) {
+      request.log.error(error);
+      return reply.status(500).send({
+        success: false,
+        error: 'FETCH_ERROR',
+        message: 'Erreur lors de la récupération des recherches.'
+      });
+    }
+  });
+
+  // Sauvegarder une recherche
+  fastify.post('/', {
+    schema: {
+      tags: ['Recherches sauvegardées'],
+      summary: 'Sauvegarder une recherche',
+      description: 'Après chaque scraping, les nouvelles annonces correspondant aux filtres sont envoyées au webhook.',
+      body: {
+        type: 'object',
+        required: ['name', 'filters'],
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 100 },
+          filters: {
+            type: 'object',
+            properties: PROPERTY_FILTERS_SCHEMA
+          },
+          webhookId: { type: 'string', description: 'Webhook à notifier' }
+        }
+      },
+      security: [{ apiKey: [] }]
+    },
+    config: { scope: 'webhooks:manage' },
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const { name, filters, webhookId } = request.body;
+
+    try {
+      const count = await prisma.savedSearch.count({
+        where: { userId: request.user.id }
+      });
+
+      if (count >= MAX_SAVED_SEARCHES_PER_USER) {
+        return reply.status(400).send({
+          success: false,
+          error: 'MAX_SAVED_SEARCHES_REACHED',
+          message: `Maximum ${MAX_SAVED_SEARCHES_PER_USER} recherches sauvegardées par compte.`
+        });
+      }
+
+      if (webhookId && !(await ownsWebhook(request.user.id, webhookId))) {
+        return reply.status(404).send({
+          success: false,
+          error: 'WEBHOOK_NOT_FOUND',
+          message: 'Webhook non trouvé.'
+        });
+      }
+
+      const savedSearch = await prisma.savedSearch.create({
+        data: {
+          userId: request.user.id,
+          name,
+          filters: JSON.stringify(pickPropertyFilters(filters)),
+          webhookId: webhookId || null
+        }
+      });
+
+      return reply.status(201).send({
+        success: true,
+        data: formatSavedSearch(savedSearch)
+      });
+    } catch (error) {
+      request.log.error(error);
+      return reply.status(500).send({
+        success: false,
+        error: 'CREATE_ERROR',
+        message: 'Erreur lors de la sauvegarde de la recherche.'
+      });
+    }
+  });
+
+  // Modifier une recherche
+  fastify.put('/:id', {
+    schema: {
+      tags: ['Recherches sauvegardées'],
+      summary: 'Modifier une recherche sauvegardée',
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' }
+        }
+      },
+      body: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 100 },
+          filters: {
+            type: 'object',
+            properties: PROPERTY_FILTERS_SCHEMA
+          },
+          webhookId: { type: 'string', nullable: true },
+          isActive: { type: 'boolean' }
+        }
+      },
+      security: [{ apiKey: [] }]
+    },
+    config: { scope: 'webhooks:manage' },
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const { id } = request.params;
+    const { name, filters, webhookId, isActive } = request.body;
+
+    try {
+      const existing = await prisma.savedSearch.findFirst({
+        where: { id, userId: request.user.id },
+        select: { id: true }
+      });
+
+      if (!existing) {
+        return reply.status(404).send({
+          success: false,
+          error: 'NOT_FOUND',
+          message: 'Recherche non trouvée.'
+        });
+      }
+
+      if (webhookId && !(await ownsWebhook(request.user.id, webhookId))) {
+        return reply.status(404).send({
+          success: false,
+          error: 'WEBHOOK_NOT_FOUND',
+          message: 'Webhook non trouvé.'
+        });
+      }
+
+      const savedSearch = await prisma.savedSearch.update({
+        where: { id },
+        data: {
+          ...(name !== undefined && { name }),
+          ...(filters !== undefined && { filters: JSON.stringify(pickPropertyFilters(filters)) }),
+          ...(webhookId !== undefined && { webhookId }),
+          ...(isActive !== undefined && { isActive })
+        }
+      });
+
+      return {
+        success: true,
+        data: formatSavedSearch(savedSearch)
+      };
+    } catch (error) {
+      request.log.error(error);
+      return reply.status(500).send({
+        success: false,
+        error: 'UPDATE_ERROR',
+        message: 'Erreur lors de la modification de la recherche.'
+      });
+    }
+  });
+
+  // Supprimer une recherche
+  fastify.delete('/:id', {
+    schema: {
+      tags: ['Recherches sauvegardées'],
+      summary: 'Supprimer une recherche sauvegardée',
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' }
+        }
+      },
+      security: [{ apiKey: [] }]
+    },
+    config: { scope: 'webhooks:manage' },
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const { id } = request.params;
+
+    try {
+      const { count } = await prisma.savedSearch.deleteMany({
+        where: { id, userId: request.user.id }
+      });
+
+      if (count === 0) {
+        return reply.status(404).send({
+          success: false,
+          error: 'NOT_FOUND',
+          message: 'Recherche non trouvée.'
+        });
+      }
+
+      return {
+        success: true,
+        message: 'Recherche supprimée.'
+      };
+    } catch (error) {
+      request.log.error(error);
+      return reply.status(500).send({
+        success: false,
+        error: 'DELETE_ERROR',
+        message: 'Erreur lors de la suppression.'
+      });
+    }
+  });
+}
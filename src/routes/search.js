@@ -1,6 +1,10 @@
 // Routes de recherche - Déclenchent le scraping
 import { scraper } from '../services/scraper.js';
+import { sourceRegistry } from '../services/sources/index.js';
+import { withPriceFlags } from '../services/propertyStore.js';
+import { distanceKm } from '../utils/helpers.js';
 import { PrismaClient } from '@prisma/client';
+import { REQUEST_COSTS } from '../services/quota.js';
 
 const prisma = new PrismaClient();
 
@@ -11,7 +15,7 @@ export default async function searchRoutes(fastify) {
     schema: {
       tags: ['Recherche'],
       summary: 'Rechercher des propriétés',
-      description: 'Lance une recherche active et retourne les résultats. Consomme plus de quota que /api/properties.',
+      description: 'Lance une recherche active et retourne les résultats. Coûte 5 requêtes de quota (1 pour /api/properties).',
       querystring: {
         type: 'object',
         properties: {
@@ -71,6 +75,10 @@ export default async function searchRoutes(fastify) {
             minimum: 1, 
             maximum: 50,
             description: 'Nombre de résultats (max 50)' 
+          },
+          sources: {
+            type: 'string',
+            description: 'Sources à interroger, séparées par des virgules (ex: demo,dvf_gouv). Par défaut: toutes les sources actives'
           }
         }
       },
@@ -87,13 +95,26 @@ export default async function searchRoutes(fastify) {
               properties: {
                 searchParams: { type: 'object' },
                 scrapedAt: { type: 'string' },
-                source: { type: 'string' }
+                sources: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      name: { type: 'string' },
+                      count: { type: 'integer' },
+                      error: { type: 'string' },
+                      code: { type: 'string' }
+                    }
+                  }
+                },
+                duration: { type: 'string' }
               }
             }
           }
         }
       }
     },
+    config: { ...REQUEST_COSTS.search, scope: 'search' },
     preHandler: [fastify.authenticate]
   }, async (request, reply) => {
     const params = request.query;
@@ -102,22 +123,10 @@ export default async function searchRoutes(fastify) {
       const startTime = Date.now();
       
       // Lancer la recherche
-      const results = await scraper.search(params);
+      const { properties: results, sources } = await scraper.search(params);
       
       const duration = Date.now() - startTime;
 
-      // Logger l'utilisation
-      await prisma.usageLog.create({
-        data: {
-          userId: request.user.id,
-          apiKeyId: request.apiKeyId,
-          endpoint: '/api/search',
-          method: 'GET',
-          statusCode: 200,
-          duration
-        }
-      });
-
       return {
         success: true,
         count: results.length,
@@ -125,7 +134,7 @@ export default async function searchRoutes(fastify) {
         meta: {
           searchParams: params,
           scrapedAt: new Date().toISOString(),
-          source: 'demo', // En production, indiquer la vraie source
+          sources,
           duration: `${duration}ms`
         }
       };
@@ -140,12 +149,27 @@ export default async function searchRoutes(fastify) {
     }
   });
 
+  // Sources de données disponibles
+  fastify.get('/sources', {
+    schema: {
+      tags: ['Recherche'],
+      summary: 'Lister les sources de données',
+      description: 'Sources interrogées par /api/search et leur statut.',
+      security: [{ apiKey: [] }]
+    },
+    config: { scope: 'search' },
+    preHandler: [fastify.authenticate]
+  }, async () => ({
+    success: true,
+    data: sourceRegistry.list()
+  }));
+
   // Recherche par zone géographique
   fastify.post('/geo', {
     schema: {
       tags: ['Recherche'],
       summary: 'Recherche géographique',
-      description: 'Rechercher des propriétés dans un rayon autour d\'un point GPS.',
+      description: 'Rechercher des propriétés dans un rayon autour d\'un point GPS. Coûte 3 requêtes de quota. Plan avec la fonctionnalité geo_search.',
       body: {
         type: 'object',
         required: ['latitude', 'longitude'],
@@ -178,7 +202,8 @@ export default async function searchRoutes(fastify) {
       },
       security: [{ apiKey: [] }]
     },
-    preHandler: [fastify.authenticate]
+    config: { ...REQUEST_COSTS.geoSearch, scope: 'search' },
+    preHandler: [fastify.authenticate, fastify.requireFeature('geo_search')]
   }, async (request, reply) => {
     const { latitude, longitude, radiusKm = 5, ...filters } = request.body;
 
@@ -208,16 +233,10 @@ export default async function searchRoutes(fastify) {
 
       // Calculer la distance réelle et trier
       const withDistance = properties.map(p => {
-        const dLat = (p.latitude - latitude) * Math.PI / 180;
-        const dLon = (p.longitude - longitude) * Math.PI / 180;
-        const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-                  Math.cos(latitude * Math.PI / 180) * Math.cos(p.latitude * Math.PI / 180) *
-                  Math.sin(dLon/2) * Math.sin(dLon/2);
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-        const distance = 6371 * c; // Distance en km
+        const distance = distanceKm(latitude, longitude, p.latitude, p.longitude);
 
         return {
-          ...p,
+          ...withPriceFlags(p),
           imageUrls: p.imageUrls ? JSON.parse(p.imageUrls) : [],
           distanceKm: Math.round(distance * 100) / 100
         };
@@ -260,6 +279,7 @@ export default async function searchRoutes(fastify) {
       },
       security: [{ apiKey: [] }]
     },
+    config: { scope: 'search' },
     preHandler: [fastify.authenticate]
   }, async (request, reply) => {
     const { q, limit = 10 } = request.query;
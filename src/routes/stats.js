@@ -1,6 +1,7 @@
 // Routes de statistiques du marché immobilier
 import { scraper } from '../services/scraper.js';
 import { PrismaClient } from '@prisma/client';
+import { REQUEST_COSTS } from '../services/quota.js';
 
 const prisma = new PrismaClient();
 
@@ -63,6 +64,7 @@ export default async function statsRoutes(fastify) {
         }
       }
     },
+    config: { ...REQUEST_COSTS.marketStats, scope: 'stats' },
     preHandler: [fastify.authenticate]
   }, async (request, reply) => {
     const params = request.query;
@@ -110,6 +112,7 @@ export default async function statsRoutes(fastify) {
       },
       security: [{ apiKey: [] }]
     },
+    config: { ...REQUEST_COSTS.marketStats, scope: 'stats' },
     preHandler: [fastify.authenticate]
   }, async (request, reply) => {
     const { transactionType = 'vente', propertyType, limit = 20, order = 'desc' } = request.query;
@@ -193,6 +196,7 @@ export default async function statsRoutes(fastify) {
       },
       security: [{ apiKey: [] }]
     },
+    config: { ...REQUEST_COSTS.marketStats, scope: 'stats' },
     preHandler: [fastify.authenticate]
   }, async (request, reply) => {
     const { city, department, transactionType = 'vente', propertyType, buckets = 10 } = request.query;
@@ -264,7 +268,7 @@ export default async function statsRoutes(fastify) {
     schema: {
       tags: ['Statistiques'],
       summary: 'Tendances du marché',
-      description: 'Évolution des prix moyens dans le temps.',
+      description: 'Évolution des prix moyens dans le temps. Plan avec la fonctionnalité advanced_stats.',
       querystring: {
         type: 'object',
         properties: {
@@ -277,7 +281,8 @@ export default async function statsRoutes(fastify) {
       },
       security: [{ apiKey: [] }]
     },
-    preHandler: [fastify.authenticate]
+    config: { ...REQUEST_COSTS.marketStats, scope: 'stats' },
+    preHandler: [fastify.authenticate, fastify.requireFeature('advanced_stats')]
   }, async (request, reply) => {
     const { city, department, transactionType = 'vente', propertyType, period = 'month' } = request.query;
 
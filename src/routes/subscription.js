@@ -0,0 +1,191 @@
+// Routes de gestion de son abonnement
+// Accessibles même abonnement expiré ou quota épuisé (config.quota = false), sans coût
+import { subscriptionService, toSubscriptionView } from '../services/subscriptions.js';
+import { invalidateUserCache } from '../middleware/auth.js';
+import { auditService } from '../services/audit.js';
+
+// Consultation (portée account:read pour les clés restreintes)
+const READ_CONFIG = { quota: false, cost: 0, scope: 'account:read' };
+
+// Modification (portée billing pour les clés restreintes)
+const WRITE_CONFIG = { quota: false, cost: 0, scope: 'billing' };
+
+/**
+ * Envoyer le refus d'une opération du service
+ */
+function sendRefusal(reply, result) {
+  return reply.status(result.status).send({
+    success: false,
+    error: result.error,
+    message: result.message,
+    ...(result.data && { data: result.data })
+  });
+}
+
+export default async function subscriptionRoutes(fastify) {
+
+  // Voir son abonnement
+  fastify.get('/', {
+    schema: {
+      tags: ['Abonnement'],
+      summary: 'Voir son abonnement',
+      security: [{ apiKey: [] }]
+    },
+    config: READ_CONFIG,
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    try {
+      const subscription = await subscriptionService.get(request.user.id);
+      if (!subscription) {
+        return reply.status(404).send({
+          success: false,
+          error: 'NO_SUBSCRIPTION',
+          message: 'Aucun abonnement pour ce compte.'
+        });
+      }
+
+      return {
+        success: true,
+        data: toSubscriptionView(subscription)
+      };
+    } catch (error) {
+      request.log.error(error);
+      return reply.status(500).send({
+        success: false,
+        error: 'FETCH_ERROR',
+        message: 'Erreur lors de la récupération de l\'abonnement.'
+      });
+    }
+  });
+
+  // Changer de plan
+  fastify.post('/change', {
+    schema: {
+      tags: ['Abonnement'],
+      summary: 'Changer de plan',
+      description: 'Plan payant (hausse, réactivation): 402 PAYMENT_REQUIRED avec les paramètres Checkout, '
+        + 'le plan est activé par la facturation après paiement. Baisse: à la fin de la période. '
+        + 'Plan gratuit sur un abonnement résilié: nouvelle période immédiate.',
+      body: {
+        type: 'object',
+        required: ['plan'],
+        properties: {
+          plan: { type: 'string', description: 'Nom du plan (voir GET /api/plans)' }
+        }
+      },
+      security: [{ apiKey: [] }]
+    },
+    config: WRITE_CONFIG,
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const { plan } = request.body;
+
+    try {
+      const result = await subscriptionService.changePlan(request.user.id, plan);
+      if (result.error) return sendRefusal(reply, result);
+
+      // Quota et rate limit du nouveau plan dès la prochaine requête
+      invalidateUserCache(request.user.id);
+
+      await auditService.record(request, {
+        action: 'subscription.change',
+        target: result.subscription.id,
+        params: { plan, change: result.change, proration: result.proration }
+      });
+
+      return {
+        success: true,
+        data: {
+          change: result.change,
+          effectiveAt: result.effectiveAt || new Date(),
+          proration: result.proration,
+          subscription: toSubscriptionView(result.subscription)
+        }
+      };
+    } catch (error) {
+      request.log.error(error);
+      return reply.status(500).send({
+        success: false,
+        error: 'SUBSCRIPTION_ERROR',
+        message: 'Erreur lors du changement de plan.'
+      });
+    }
+  });
+
+  // Résilier à la fin de la période
+  fastify.post('/cancel', {
+    schema: {
+      tags: ['Abonnement'],
+      summary: 'Résilier son abonnement',
+      description: 'L\'abonnement reste actif jusqu\'à la fin de la période en cours.',
+      security: [{ apiKey: [] }]
+    },
+    config: WRITE_CONFIG,
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    try {
+      const result = await subscriptionService.cancel(request.user.id);
+      if (result.error) return sendRefusal(reply, result);
+
+      invalidateUserCache(request.user.id);
+
+      await auditService.record(request, {
+        action: 'subscription.cancel',
+        target: result.subscription.id,
+        params: { effectiveAt: result.effectiveAt }
+      });
+
+      return {
+        success: true,
+        message: 'Abonnement résilié à la fin de la période.',
+        data: {
+          effectiveAt: result.effectiveAt,
+          subscription: toSubscriptionView(result.subscription)
+        }
+      };
+    } catch (error) {
+      request.log.error(error);
+      return reply.status(500).send({
+        success: false,
+        error: 'SUBSCRIPTION_ERROR',
+        message: 'Erreur lors de la résiliation.'
+      });
+    }
+  });
+
+  // Annuler la résiliation
+  fastify.post('/resume', {
+    schema: {
+      tags: ['Abonnement'],
+      summary: 'Annuler la résiliation programmée',
+      security: [{ apiKey: [] }]
+    },
+    config: WRITE_CONFIG,
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    try {
+      const result = await subscriptionService.resume(request.user.id);
+      if (result.error) return sendRefusal(reply, result);
+
+      invalidateUserCache(request.user.id);
+
+      await auditService.record(request, {
+        action: 'subscription.resume',
+        target: result.subscription.id
+      });
+
+      return {
+        success: true,
+        message: 'Résiliation annulée.',
+        data: toSubscriptionView(result.subscription)
+      };
+    } catch (error) {
+      request.log.error(error);
+      return reply.status(500).send({
+        success: false,
+        error: 'SUBSCRIPTION_ERROR',
+        message: 'Erreur lors de l\'annulation de la résiliation.'
+      });
+    }
+  });
+}
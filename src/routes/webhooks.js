@@ -0,0 +1,287 @@
+// Routes des webhooks utilisateurs
+// Création et test réservés aux plans incluant "webhooks" (liste et suppression toujours accessibles)
+import { PrismaClient } from '@prisma/client';
+import {
+  webhookService,
+  generateWebhookSecret,
+  assertPublicWebhookUrl,
+  WebhookUrlError
+} from '../services/webhooks.js';
+
+const prisma = new PrismaClient();
+
+const MAX_WEBHOOKS_PER_USER = 10;
+
+// Champs exposés (le secret n'est renvoyé qu'à la création)
+const WEBHOOK_SELECT = {
+  id: true,
+  url: true,
+  isActive: true,
+  createdAt: true
+};
+
+export default async function webhooksRoutes(fastify) {
+
+  // Lister ses webhooks
+  fastify.get('/', {
+    schema: {
+      tags: ['Webhooks'],
+      summary: 'Lister ses webhooks',
+      security: [{ apiKey: [] }]
+    },
+    config: { scope: 'webhooks:manage' },
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    try {
+      const webhooks = await prisma.webhook.findMany({
+        where: { userId: request.user.id },
+        select: WEBHOOK_SELECT,
+        orderBy: { createdAt: 'desc' }
+      });
+
+      return {
+        success: true,
+        data: webhooks
+      };
+    } catch (error) {
+      request.log.error(error);
+      return reply.status(500).send({
+        success: false,
+        error: 'FETCH_ERROR',
+        message: 'Erreur lors de la récupération des webhooks.'
+      });
+    }
+  });
+
+  // Enregistrer un webhook
+  fastify.post('/', {
+    schema: {
+      tags: ['Webhooks'],
+      summary: 'Enregistrer un webhook',
+      description: 'Le secret de signature n\'est affiché qu\'une seule fois.',
+      body: {
+        type: 'object',
+        required: ['url'],
+        properties: {
+          url: { type: 'string', maxLength: 2048, description: 'URL publique appelée en POST (http ou https)' }
+        }
+      },
+      security: [{ apiKey: [] }]
+    },
+    config: { scope: 'webhooks:manage' },
+    preHandler: [fastify.authenticate, fastify.requireFeature('webhooks')]
+  }, async (request, reply) => {
+    const { url } = request.body;
+
+    try {
+      await assertPublicWebhookUrl(url);
+    } catch (error) {
+      if (!(error instanceof WebhookUrlError)) throw error;
+      return reply.status(400).send({
+        success: false,
+        error: error.code,
+        message: error.message
+      });
+    }
+
+    try {
+      const count = await prisma.webhook.count({
+        where: { userId: request.user.id }
+      });
+
+      if (count >= MAX_WEBHOOKS_PER_USER) {
+        return reply.status(400).send({
+          success: false,
+          error: 'MAX_WEBHOOKS_REACHED',
+          message: `Maximum ${MAX_WEBHOOKS_PER_USER} webhooks par compte.`
+        });
+      }
+
+      const webhook = await prisma.webhook.create({
+        data: {
+          userId: request.user.id,
+          url,
+          secret: generateWebhookSecret()
+        }
+      });
+
+      return reply.status(201).send({
+        success: true,
+        data: {
+          id: webhook.id,
+          url: webhook.url,
+          secret: webhook.secret,
+          isActive: webhook.isActive,
+          createdAt: webhook.createdAt
+        },
+        message: '⚠️ Conservez le secret: il sert à vérifier le header X-Immo-Signature et ne sera plus affiché.'
+      });
+    } catch (error) {
+      request.log.error(error);
+      return reply.status(500).send({
+        success: false,
+        error: 'CREATE_ERROR',
+        message: 'Erreur lors de la création du webhook.'
+      });
+    }
+  });
+
+  // Supprimer un webhook
+  fastify.delete('/:id', {
+    schema: {
+      tags: ['Webhooks'],
+      summary: 'Supprimer un webhook',
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' }
+        }
+      },
+      security: [{ apiKey: [] }]
+    },
+    config: { scope: 'webhooks:manage' },
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const { id } = request.params;
+
+    try {
+      const { count } = await prisma.webhook.deleteMany({
+        where: { id, userId: request.user.id }
+      });
+
+      if (count === 0) {
+        return reply.status(404).send({
+          success: false,
+          error: 'NOT_FOUND',
+          message: 'Webhook non trouvé.'
+        });
+      }
+
+      return {
+        success: true,
+        message: 'Webhook supprimé.'
+      };
+    } catch (error) {
+      request.log.error(error);
+      return reply.status(500).send({
+        success: false,
+        error: 'DELETE_ERROR',
+        message: 'Erreur lors de la suppression.'
+      });
+    }
+  });
+
+  // Envoyer un évènement de test
+  fastify.post('/:id/test', {
+    schema: {
+      tags: ['Webhooks'],
+      summary: 'Tester un webhook',
+      description: 'Envoie un évènement "webhook.test" signé et retourne le résultat de l\'envoi.',
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' }
+        }
+      },
+      security: [{ apiKey: [] }]
+    },
+    config: { scope: 'webhooks:manage' },
+    preHandler: [fastify.authenticate, fastify.requireFeature('webhooks')]
+  }, async (request, reply) => {
+    const { id } = request.params;
+
+    try {
+      const webhook = await prisma.webhook.findFirst({
+        where: { id, userId: request.user.id }
+      });
+
+      if (!webhook) {
+        return reply.status(404).send({
+          success: false,
+          error: 'NOT_FOUND',
+          message: 'Webhook non trouvé.'
+        });
+      }
+
+      const delivery = await webhookService.sendTest(webhook);
+
+      return {
+        success: delivery.status === 'success',
+        data: delivery
+      };
+    } catch (error) {
+      request.log.error(error);
+      return reply.status(500).send({
+        success: false,
+        error: 'WEBHOOK_TEST_ERROR',
+        message: 'Erreur lors de l\'envoi du test.'
+      });
+    }
+  });
+
+  // Journal des envois
+  fastify.get('/:id/deliveries', {
+    schema: {
+      tags: ['Webhooks'],
+      summary: 'Historique des envois d\'un webhook',
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' }
+        }
+      },
+      querystring: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', enum: ['pending', 'success', 'failed'] },
+          limit: { type: 'integer', default: 20, minimum: 1, maximum: 100 }
+        }
+      },
+      security: [{ apiKey: [] }]
+    },
+    config: { scope: 'webhooks:manage' },
+    preHandler: [fastify.authenticate]
+  }, async (request, reply) => {
+    const { id } = request.params;
+    const { status, limit = 20 } = request.query;
+
+    try {
+      const webhook = await prisma.webhook.findFirst({
+        where: { id, userId: request.user.id },
+        select: { id: true }
+      });
+
+      if (!webhook) {
+        return reply.status(404).send({
+          success: false,
+          error: 'NOT_FOUND',
+          message: 'Webhook non trouvé.'
+        });
+      }
+
+      const deliveries = await prisma.webhookDelivery.findMany({
+        where: {
+          webhookId: id,
+          ...(status && { status })
+        },
+        orderBy: { createdAt: 'desc' },
+        take: limit
+      });
+
+      return {
+        success: true,
+        data: deliveries
+      };
+    } catch (error) {
+      request.log.error(error);
+      return reply.status(500).send({
+        success: false,
+        error: 'FETCH_ERROR',
+        message: 'Erreur lors de la récupération des envois.'
+      });
+    }
+  });
+}
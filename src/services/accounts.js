@@ -0,0 +1,292 @@
+// Comptes: inscription avec vérification de l'email, récupération par lien magique
+// Un compte inscrit reste en attente (sans clé API ni abonnement) jusqu'à la confirmation de son email.
+// La récupération remplace toutes les clés actives par une nouvelle clé
+
+import { PrismaClient } from '@prisma/client';
+import { generateApiKey } from './apiKeys.js';
+import { quotaService } from './quota.js';
+import { createEmailToken, verifyEmailToken } from './emailTokens.js';
+import { mailer } from './mailer.js';
+
+const prisma = new PrismaClient();
+
+// Délai minimum entre deux emails pour une même adresse
+const RESEND_INTERVAL = 60 * 1000;
+
+// Dernier envoi par adresse (mémoire, purgé périodiquement)
+const lastSentAt = new Map();
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [email, sentAt] of lastSentAt.entries()) {
+    if (now - sentAt > RESEND_INTERVAL) lastSentAt.delete(email);
+  }
+}, 60000).unref();
+
+const ACCOUNT_BANNED = { status: 403, error: 'ACCOUNT_BANNED', message: 'Ce compte a été suspendu.' };
+
+const TOKEN_ERRORS = {
+  INVALID_TOKEN: { status: 400, error: 'INVALID_TOKEN', message: 'Lien invalide ou déjà utilisé.' },
+  TOKEN_EXPIRED: { status: 400, error: 'TOKEN_EXPIRED', message: 'Ce lien a expiré. Demandez-en un nouveau.' }
+};
+
+/**
+ * Compte en attente de vérification (jamais activé)
+ */
+function isPending(user) {
+  return !user.emailVerifiedAt && !user.subscription;
+}
+
+/**
+ * Service des comptes
+ * Les méthodes retournent { status, error, message } en cas de refus
+ */
+export class AccountService {
+  get verificationTtlMs() {
+    return (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+  }
+
+  get recoveryTtlMs() {
+    return (parseInt(process.env.ACCOUNT_RECOVERY_TTL_MINUTES) || 30) * 60 * 1000;
+  }
+
+  get pendingTtlDays() {
+    return parseInt(process.env.PENDING_ACCOUNT_TTL_DAYS) || 7;
+  }
+
+  /**
+   * URL publique de l'API (commandes indiquées dans les emails)
+   */
+  get apiUrl() {
+    return (process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+  }
+
+  /**
+   * Instructions d'un jeton: lien vers la page APP_URL qui le transmet à l'API si elle est définie,
+   * et appel direct de l'API
+   */
+  describeToken(pagePath, apiPath, token) {
+    const lines = [];
+
+    if (process.env.APP_URL) {
+      lines.push(`${process.env.APP_URL.replace(/\/$/, '')}${pagePath}?token=${encodeURIComponent(token)}`, '');
+      lines.push('Ou directement avec l\'API :');
+    }
+
+    lines.push(`curl -X POST ${this.apiUrl}${apiPath} -H "Content-Type: application/json" -d '{"token": "${token}"}'`);
+    return lines;
+  }
+
+  /**
+   * Envoyer un email au plus une fois par RESEND_INTERVAL et par adresse
+   * Retourne false si l'envoi a été ignoré
+   */
+  async sendThrottled(email, message) {
+    const sentAt = lastSentAt.get(email);
+    if (sentAt && Date.now() - sentAt < RESEND_INTERVAL) return false;
+
+    lastSentAt.set(email, Date.now());
+    await mailer.send({ to: email, ...message });
+    return true;
+  }
+
+  /**
+   * Inscription: crée le compte en attente et envoie le lien de vérification
+   * Une nouvelle inscription d'un compte en attente renvoie le lien.
+   * source: { canonicalEmail, ip, subnet } fourni par registrationGuard.check
+   */
+  async register(email, name, source) {
+    const { canonicalEmail, ip, subnet } = source;
+
+    // Même adresse, ou même adresse normalisée (a+1@x.com pour a@x.com)
+    const matches = await prisma.user.findMany({
+      where: { OR: [{ email }, { canonicalEmail }] },
+      include: { subscription: { select: { id: true } } },
+      take: 10
+    });
+    let user = matches.find(match => match.email === email);
+
+    if (matches.some(match => match.bannedAt)) {
+      return ACCOUNT_BANNED;
+    }
+
+    if (matches.some(match => match !== user) || (user && !isPending(user))) {
+      return { status: 400, error: 'EMAIL_EXISTS', message: 'Un compte existe déjà avec cet email.' };
+    }
+
+    if (!user) {
+      try {
+        user = await prisma.user.create({
+          data: { email, name, canonicalEmail, signupIp: ip, signupSubnet: subnet }
+        });
+      } catch (error) {
+        // Inscription simultanée de la même adresse
+        if (error.code !== 'P2002') throw error;
+        user = await prisma.user.findUnique({ where: { email } });
+      }
+    }
+
+    const token = createEmailToken('verify', user.id, null, this.verificationTtlMs);
+    const expiresAt = new Date(Date.now() + this.verificationTtlMs);
+
+    await this.sendThrottled(email, {
+      subject: 'Confirmez votre adresse email',
+      text: [
+        'Bonjour,',
+        '',
+        'Confirmez votre adresse pour activer votre compte et recevoir votre clé API :',
+        ...this.describeToken('/verify-email', '/api/auth/verify', token),
+        '',
+        `Ce lien expire le ${expiresAt.toISOString()}.`,
+        'Si vous n\'êtes pas à l\'origine de cette inscription, ignorez cet email.'
+      ].join('\n')
+    });
+
+    return { user, expiresAt };
+  }
+
+  /**
+   * Confirmer l'email: active le compte (abonnement gratuit) et crée la première clé API
+   */
+  async verify(token) {
+    const payload = verifyEmailToken(token, 'verify');
+    if (payload.error) return TOKEN_ERRORS[payload.error];
+
+    // Mise à jour conditionnelle: un seul appel active le compte
+    const { count } = await prisma.user.updateMany({
+      where: { id: payload.userId, emailVerifiedAt: null, bannedAt: null },
+      data: { emailVerifiedAt: new Date() }
+    });
+    const user = await prisma.user.findUnique({ where: { id: payload.userId } });
+    if (!user) return TOKEN_ERRORS.INVALID_TOKEN;
+    if (user.bannedAt) return ACCOUNT_BANNED;
+
+    if (count === 0) {
+      return { status: 409, error: 'ALREADY_VERIFIED', message: 'Cet email est déjà confirmé.' };
+    }
+
+    const subscription = await this.provisionSubscription(user.id);
+    const { apiKey, key } = await this.issueKey(user.id, 'Default');
+
+    return { user, subscription, apiKey, key };
+  }
+
+  /**
+   * Demande de récupération: envoie un lien magique si le compte existe
+   * La réponse est la même que le compte existe ou non
+   */
+  async requestRecovery(email) {
+    const user = await prisma.user.findUnique({ where: { email } });
+    if (!user || user.bannedAt) return { sent: false };
+
+    const stamp = user.recoveredAt ? user.recoveredAt.getTime() : 0;
+    const token = createEmailToken('recover', user.id, stamp, this.recoveryTtlMs);
+
+    const sent = await this.sendThrottled(email, {
+      subject: 'Récupération de votre compte',
+      text: [
+        'Bonjour,',
+        '',
+        'Ouvrez ce lien pour obtenir une nouvelle clé API. Vos clés actuelles seront désactivées :',
+        ...this.describeToken('/recover', '/api/auth/recover/confirm', token),
+        '',
+        `Ce lien est valable ${Math.round(this.recoveryTtlMs / 60000)} minutes et une seule fois.`,
+        'Si vous n\'êtes pas à l\'origine de cette demande, ignorez cet email: vos clés restent actives.'
+      ].join('\n')
+    });
+
+    return { sent, userId: user.id };
+  }
+
+  /**
+   * Confirmer la récupération: désactive les clés actives et en crée une nouvelle
+   * Retourne aussi les empreintes désactivées (caches à invalider)
+   */
+  async recover(token) {
+    const payload = verifyEmailToken(token, 'recover');
+    if (payload.error) return TOKEN_ERRORS[payload.error];
+
+    const user = await prisma.user.findUnique({ where: { id: payload.userId } });
+    const stamp = user?.recoveredAt ? user.recoveredAt.getTime() : 0;
+    if (!user || stamp !== payload.stamp) return TOKEN_ERRORS.INVALID_TOKEN;
+    if (user.bannedAt) return ACCOUNT_BANNED;
+
+    // Jeton à usage unique: recoveredAt change, les liens précédents deviennent invalides
+    const now = new Date();
+    const { count } = await prisma.user.updateMany({
+      where: { id: user.id, recoveredAt: user.recoveredAt },
+      data: { recoveredAt: now, emailVerifiedAt: user.emailVerifiedAt || now }
+    });
+    if (count === 0) return TOKEN_ERRORS.INVALID_TOKEN;
+
+    const revokedKeys = await prisma.apiKey.findMany({
+      where: { userId: user.id, isActive: true },
+      select: { id: true, keyHash: true }
+    });
+
+    await prisma.apiKey.updateMany({
+      where: { id: { in: revokedKeys.map(key => key.id) } },
+      data: { isActive: false }
+    });
+
+    const subscription = await this.provisionSubscription(user.id);
+    const { apiKey, key } = await this.issueKey(user.id, 'Recovery');
+
+    return { user, subscription, apiKey, key, revokedKeys };
+  }
+
+  /**
+   * Abonnement du compte, créé sur le plan gratuit (plan créé s'il n'existe pas)
+   */
+  async provisionSubscription(userId) {
+    await prisma.plan.upsert({
+      where: { name: 'free' },
+      update: {},
+      create: {
+        name: 'free',
+        displayName: 'Gratuit',
+        price: 0,
+        requestsLimit: 100,
+        rateLimit: 10,
+        features: JSON.stringify(['100 requêtes/mois', 'Support email'])
+      }
+    });
+
+    return quotaService.getOrCreateSubscription(userId);
+  }
+
+  /**
+   * 🔒 Créer une clé API (seule l'empreinte est stockée)
+   */
+  async issueKey(userId, name) {
+    const { apiKey, keyHash, prefix } = generateApiKey();
+
+    const key = await prisma.apiKey.create({
+      data: { keyHash, prefix, name, userId }
+    });
+
+    return { apiKey, key };
+  }
+
+  /**
+   * Supprimer les comptes jamais confirmés (les comptes bannis restent, pour la revue des sources)
+   */
+  async purgePendingAccounts(now = new Date()) {
+    const cutoff = new Date(now.getTime() - this.pendingTtlDays * 24 * 60 * 60 * 1000);
+
+    const { count } = await prisma.user.deleteMany({
+      where: {
+        emailVerifiedAt: null,
+        bannedAt: null,
+        createdAt: { lt: cutoff },
+        subscription: { is: null },
+        apiKeys: { none: {} }
+      }
+    });
+
+    return count;
+  }
+}
+
+// Instance singleton
+export const accountService = new AccountService();
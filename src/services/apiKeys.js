@@ -0,0 +1,232 @@
+// Clés API: génération, empreinte et vérification
+// Seule l'empreinte de la clé est stockée (HMAC-SHA256 avec API_SECRET, SHA-256 sans),
+// avec un préfixe public pour retrouver la clé et l'afficher
+
+import { PrismaClient } from '@prisma/client';
+import crypto from 'crypto';
+import net from 'net';
+
+const prisma = new PrismaClient();
+
+const KEY_NAMESPACE = 'immo_';
+
+// "immo_" + 7 caractères aléatoires
+export const PUBLIC_PREFIX_LENGTH = 12;
+
+// Portées d'une clé (config.scope des routes). Une clé sans portées a tous les droits
+export const API_KEY_SCOPES = [
+  'properties:read',
+  'search',
+  'stats',
+  'webhooks:manage',
+  'keys:manage',
+  'account:read',
+  'billing',
+  'admin'
+];
+
+// Nombre maximum de plages IP par clé
+export const MAX_ALLOWED_IPS = 20;
+
+/**
+ * 🔒 Comparaison timing-safe pour éviter les timing attacks
+ */
+export function secureCompare(a, b) {
+  if (a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+/**
+ * Vérifier le format d'une clé
+ */
+export function isApiKeyFormat(apiKey) {
+  return typeof apiKey === 'string' && apiKey.startsWith(KEY_NAMESPACE) && apiKey.length >= 20;
+}
+
+/**
+ * Empreinte stockée en base
+ * Changer API_SECRET invalide toutes les clés existantes
+ */
+export function hashApiKey(apiKey) {
+  const secret = process.env.API_SECRET;
+  const hash = secret
+    ? crypto.createHmac('sha256', secret)
+    : crypto.createHash('sha256');
+  return hash.update(apiKey).digest('hex');
+}
+
+/**
+ * Préfixe public (recherche et affichage)
+ */
+export function getKeyPrefix(apiKey) {
+  return apiKey.substring(0, PUBLIC_PREFIX_LENGTH);
+}
+
+/**
+ * Forme affichable d'une clé
+ */
+export function maskApiKey(prefix) {
+  return `${prefix}****`;
+}
+
+/**
+ * 🔒 Générer une clé API sécurisée avec crypto
+ * La clé en clair n'est retournée qu'ici: à montrer une seule fois
+ */
+export function generateApiKey() {
+  const apiKey = `${KEY_NAMESPACE}${crypto.randomBytes(24).toString('base64url')}`;
+  return {
+    apiKey,
+    keyHash: hashApiKey(apiKey),
+    prefix: getKeyPrefix(apiKey)
+  };
+}
+
+/**
+ * Retrouver une clé par son préfixe puis vérifier son empreinte
+ * args: include / select Prisma (keyHash est toujours sélectionné)
+ */
+export async function findApiKey(apiKey, args = {}) {
+  const keyHash = hashApiKey(apiKey);
+  const query = args.select
+    ? { select: { ...args.select, keyHash: true } }
+    : args;
+
+  const candidates = await prisma.apiKey.findMany({
+    where: { prefix: getKeyPrefix(apiKey) },
+    ...query
+  });
+
+  return candidates.find(candidate => candidate.keyHash && secureCompare(candidate.keyHash, keyHash)) || null;
+}
+
+/**
+ * Portées stockées (JSON) -> liste, ou null si la clé a tous les droits
+ */
+export function parseScopes(value) {
+  return value ? JSON.parse(value) : null;
+}
+
+/**
+ * Vérifier qu'une clé possède une portée
+ */
+export function hasScope(scopes, scope) {
+  return scopes === null || scopes.includes(scope);
+}
+
+/**
+ * Découper "10.0.0.0/8" ou "2001:db8::1" en { address, prefix, family }
+ */
+function parseCidr(cidr) {
+  const [address, prefixPart, ...rest] = String(cidr).trim().split('/');
+  const version = net.isIP(address);
+  if (!version || rest.length > 0) return null;
+
+  if (prefixPart !== undefined && !/^\d+$/.test(prefixPart)) return null;
+
+  const maxPrefix = version === 4 ? 32 : 128;
+  const prefix = prefixPart === undefined ? maxPrefix : Number(prefixPart);
+  if (prefix > maxPrefix) return null;
+
+  return { address, prefix, family: version === 4 ? 'ipv4' : 'ipv6' };
+}
+
+/**
+ * Vérifier une adresse ou plage CIDR
+ */
+export function isValidCidr(cidr) {
+  return parseCidr(cidr) !== null;
+}
+
+/**
+ * Liste d'adresses autorisées (net.BlockList) à partir des plages stockées (JSON)
+ * null si la clé n'est pas restreinte
+ */
+export function createIpAllowlist(value) {
+  const cidrs = value ? JSON.parse(value) : [];
+  if (cidrs.length === 0) return null;
+
+  const allowlist = new net.BlockList();
+  for (const cidr of cidrs) {
+    const range = parseCidr(cidr);
+    if (range) allowlist.addSubnet(range.address, range.prefix, range.family);
+  }
+  return allowlist;
+}
+
+/**
+ * Vérifier l'IP d'une requête (les IPv4 mappées en IPv6 sont ramenées en IPv4)
+ */
+export function isIpAllowed(allowlist, ip) {
+  if (!allowlist) return true;
+
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+  const address = mapped ? mapped[1] : ip;
+  const version = net.isIP(address);
+  if (!version) return false;
+
+  return allowlist.check(address, version === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Durée de chevauchement par défaut lors d'une rotation (heures)
+ */
+export function getDefaultGraceHours() {
+  return parseInt(process.env.API_KEY_ROTATION_GRACE_HOURS) || 24;
+}
+
+/**
+ * Remplacer une clé: la nouvelle reprend nom, portées, expiration et IP,
+ * l'ancienne reste valide jusqu'à graceEndsAt
+ * Retourne null si la clé n'est plus active ou a déjà été remplacée
+ */
+export async function rotateApiKey(oldKey, graceHours = getDefaultGraceHours()) {
+  const { apiKey, keyHash, prefix } = generateApiKey();
+  const graceEndsAt = new Date(Date.now() + graceHours * 60 * 60 * 1000);
+
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const newKey = await tx.apiKey.create({
+        data: {
+          keyHash,
+          prefix,
+          name: oldKey.name,
+          userId: oldKey.userId,
+          scopes: oldKey.scopes,
+          expiresAt: oldKey.expiresAt,
+          allowedIps: oldKey.allowedIps
+        }
+      });
+
+      // Condition sur replacedById: deux rotations simultanées ne peuvent pas réussir
+      const previousKey = await tx.apiKey.update({
+        where: { id: oldKey.id, isActive: true, replacedById: null },
+        data: { replacedById: newKey.id, graceEndsAt }
+      });
+
+      return { apiKey, newKey, previousKey };
+    });
+  } catch (error) {
+    if (error.code === 'P2025') return null;
+    throw error;
+  }
+}
+
+/**
+ * Désactiver les clés remplacées dont la période de chevauchement est terminée
+ * Retourne les clés désactivées (pour invalider le cache)
+ */
+export async function deactivateRotatedKeys(now = new Date()) {
+  const keys = await prisma.apiKey.findMany({
+    where: { isActive: true, graceEndsAt: { lte: now } },
+    select: { id: true, keyHash: true }
+  });
+  if (keys.length === 0) return [];
+
+  await prisma.apiKey.updateMany({
+    where: { id: { in: keys.map(key => key.id) } },
+    data: { isActive: false }
+  });
+
+  return keys;
+}
@@ -0,0 +1,139 @@
+// Journal d'audit des actions d'administration et des changements de compte
+// Chaque action est tracée avec son auteur (utilisateur et clé API), sa cible et son résultat,
+// dans les logs et dans la table AuditEvent
+
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// Nombre maximum de lignes par export
+const MAX_EXPORT_ROWS = 10000;
+
+/**
+ * Conditions Prisma à partir des filtres de recherche
+ */
+function buildAuditWhere({ actorId, apiKeyId, action, target, outcome, from, to } = {}) {
+  const where = {};
+
+  if (actorId) where.actorId = actorId;
+  if (apiKeyId) where.apiKeyId = apiKeyId;
+  // "admin." filtre toutes les actions admin
+  if (action) where.action = action.endsWith('.') ? { startsWith: action } : action;
+  if (target) where.target = target;
+  if (outcome) where.outcome = outcome;
+
+  if (from || to) {
+    where.createdAt = {};
+    if (from) where.createdAt.gte = new Date(from);
+    if (to) where.createdAt.lt = new Date(to);
+  }
+
+  return where;
+}
+
+/**
+ * Formater un événement pour les réponses (params décodés)
+ */
+function toAuditEvent(event) {
+  return {
+    ...event,
+    params: event.params ? JSON.parse(event.params) : null
+  };
+}
+
+/**
+ * Service d'audit
+ */
+export class AuditService {
+  /**
+   * Tracer une action
+   * outcome: success, failure ou denied
+   * actorId: auteur, si différent de l'utilisateur authentifié (inscription)
+   */
+  async record(request, { action, target = null, params = null, outcome = 'success', actorId }) {
+    const event = {
+      action,
+      actorId: actorId || request.user?.id || null,
+      apiKeyId: request.apiKeyId || null,
+      target,
+      params,
+      ip: request.ip,
+      outcome
+    };
+
+    request.log.info({ audit: event }, `🛡️ Audit: ${action} (${outcome})`);
+
+    // Une erreur d'écriture ne doit pas faire échouer l'action elle-même
+    try {
+      await prisma.auditEvent.create({
+        data: {
+          ...event,
+          params: params ? JSON.stringify(params) : null
+        }
+      });
+    } catch (error) {
+      request.log.error({ err: error, audit: event }, '❌ Écriture AuditEvent impossible');
+    }
+
+    return event;
+  }
+
+  /**
+   * Rechercher des événements (plus récents d'abord)
+   */
+  async search(filters = {}, { page = 1, limit = 50 } = {}) {
+    const where = buildAuditWhere(filters);
+
+    const [events, total] = await Promise.all([
+      prisma.auditEvent.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.auditEvent.count({ where })
+    ]);
+
+    return {
+      events: events.map(toAuditEvent),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Événements à exporter (ordre chronologique, MAX_EXPORT_ROWS au plus)
+   * truncated: d'autres événements correspondent aux filtres
+   */
+  async export(filters = {}) {
+    const events = await prisma.auditEvent.findMany({
+      where: buildAuditWhere(filters),
+      orderBy: { createdAt: 'asc' },
+      take: MAX_EXPORT_ROWS + 1
+    });
+
+    return {
+      events: events.slice(0, MAX_EXPORT_ROWS).map(toAuditEvent),
+      truncated: events.length > MAX_EXPORT_ROWS
+    };
+  }
+}
+
+// Colonnes de l'export CSV
+export const AUDIT_CSV_COLUMNS = [
+  { key: 'createdAt', label: 'created_at' },
+  { key: 'action', label: 'action' },
+  { key: 'outcome', label: 'outcome' },
+  { key: 'actorId', label: 'actor_id' },
+  { key: 'apiKeyId', label: 'api_key_id' },
+  { key: 'target', label: 'target' },
+  { key: 'params', label: 'params' },
+  { key: 'ip', label: 'ip' }
+];
+
+// Instance singleton
+export const auditService = new AuditService();
@@ -0,0 +1,247 @@
+// Facturation: traitement des événements webhook au format Stripe
+// Signature "Stripe-Signature: t=<timestamp>,v1=<hmac>" vérifiée avec STRIPE_WEBHOOK_SECRET.
+// Chaque événement est enregistré (BillingEvent) avant traitement: un événement renvoyé
+// par Stripe n'est appliqué qu'une fois, un événement en échec est retraité au renvoi suivant
+
+import { PrismaClient } from '@prisma/client';
+import { verifySignature } from './webhooks.js';
+import { subscriptionService } from './subscriptions.js';
+import { addMonths, PERIOD_MONTHS } from './quota.js';
+
+const prisma = new PrismaClient();
+
+// Traitement considéré comme interrompu (arrêt du serveur) au-delà de ce délai
+const STALE_PROCESSING_MS = 10 * 60 * 1000;
+
+/**
+ * Date à partir d'un timestamp Unix Stripe
+ */
+function fromUnix(seconds) {
+  return seconds ? new Date(seconds * 1000) : null;
+}
+
+/**
+ * Nom du plan d'une facture: lookup_key du prix Stripe, sinon metadata.plan
+ */
+function getInvoicePlanName(invoice) {
+  const line = invoice.lines?.data?.[0];
+  return line?.price?.lookup_key || line?.metadata?.plan || invoice.metadata?.plan || null;
+}
+
+/**
+ * Service de facturation
+ */
+export class BillingService {
+  get webhookSecret() {
+    return process.env.STRIPE_WEBHOOK_SECRET;
+  }
+
+  get signatureTolerance() {
+    return parseInt(process.env.STRIPE_WEBHOOK_TOLERANCE_SEC) || 300;
+  }
+
+  /**
+   * Vérifier la signature d'un corps brut
+   */
+  verify(rawBody, signatureHeader) {
+    if (!this.webhookSecret) return false;
+    return verifySignature(this.webhookSecret, signatureHeader, rawBody, this.signatureTolerance);
+  }
+
+  /**
+   * Enregistrer puis traiter un événement (idempotent)
+   * Retourne { status: processed | ignored | duplicate, userId? }
+   */
+  async handleEvent(event, rawBody) {
+    const claimed = await this.claim(event, rawBody);
+    if (!claimed) return { status: 'duplicate' };
+
+    try {
+      const result = await this.apply(event);
+
+      await prisma.billingEvent.update({
+        where: { eventId: event.id },
+        data: { status: result.status, error: null, processedAt: new Date() }
+      });
+
+      return result;
+    } catch (error) {
+      await prisma.billingEvent.update({
+        where: { eventId: event.id },
+        data: { status: 'failed', error: error.message }
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Réserver le traitement d'un événement
+   * false si l'événement est déjà traité ou en cours de traitement
+   */
+  async claim(event, rawBody) {
+    try {
+      await prisma.billingEvent.create({
+        data: { eventId: event.id, type: event.type, payload: rawBody }
+      });
+      return true;
+    } catch (error) {
+      if (error.code !== 'P2002') throw error;
+    }
+
+    // Déjà reçu: retraité seulement si le traitement précédent a échoué ou a été interrompu
+    // claimedAt est renouvelé à chaque reprise: un traitement repris n'est pas réclamé une seconde fois
+    const now = new Date();
+    const { count } = await prisma.billingEvent.updateMany({
+      where: {
+        eventId: event.id,
+        OR: [
+          { status: 'failed' },
+          { status: 'processing', claimedAt: { lt: new Date(now.getTime() - STALE_PROCESSING_MS) } }
+        ]
+      },
+      data: { status: 'processing', claimedAt: now }
+    });
+    return count > 0;
+  }
+
+  /**
+   * Appliquer un événement à l'abonnement concerné
+   */
+  async apply(event) {
+    const object = event.data?.object || {};
+
+    switch (event.type) {
+      case 'checkout.session.completed':
+        return this.onCheckoutCompleted(object);
+      case 'invoice.paid':
+        return this.onInvoicePaid(object);
+      case 'invoice.payment_failed':
+        return this.onPaymentFailed(object);
+      case 'customer.subscription.deleted':
+        return this.onSubscriptionDeleted(object);
+      default:
+        return { status: 'ignored' };
+    }
+  }
+
+  /**
+   * Abonnement local correspondant à un objet Stripe
+   */
+  async findSubscription({ subscription, customer }) {
+    if (subscription) {
+      const found = await prisma.subscription.findUnique({ where: { stripeSubId: subscription } });
+      if (found) return found;
+    }
+    if (customer) {
+      return prisma.subscription.findUnique({ where: { stripeCustomerId: customer } });
+    }
+    return null;
+  }
+
+  /**
+   * Paiement initial: rattacher le client Stripe et activer le plan choisi
+   * client_reference_id = identifiant de l'utilisateur, metadata.plan = nom du plan
+   */
+  async onCheckoutCompleted(session) {
+    const userId = session.client_reference_id;
+    if (!userId) return { status: 'ignored' };
+
+    const plan = session.metadata?.plan
+      ? await prisma.plan.findUnique({ where: { name: session.metadata.plan } })
+      : null;
+
+    const existing = await prisma.subscription.findUnique({ where: { userId } });
+    const now = new Date();
+    const period = { periodStart: now, periodEnd: addMonths(now, PERIOD_MONTHS) };
+    const planChanged = plan && plan.id !== existing?.planId;
+
+    const data = {
+      stripeCustomerId: session.customer || null,
+      stripeSubId: session.subscription || null,
+      status: 'active',
+      cancelAtPeriodEnd: false,
+      canceledAt: null,
+      pendingPlanId: null,
+      // Nouveau plan: nouvelle période et quota remis à zéro
+      ...(planChanged && { planId: plan.id, requestsUsed: 0, ...period })
+    };
+
+    if (existing) {
+      await prisma.subscription.update({ where: { id: existing.id }, data });
+    } else {
+      if (!plan) throw new Error(`Plan introuvable pour la session ${session.id}`);
+      await prisma.subscription.create({ data: { userId, planId: plan.id, ...period, ...data } });
+    }
+
+    return { status: 'processed', userId };
+  }
+
+  /**
+   * Facture payée: période payée, statut actif (y compris après un impayé)
+   */
+  async onInvoicePaid(invoice) {
+    const subscription = await this.findSubscription(invoice);
+    if (!subscription) return { status: 'ignored' };
+
+    const line = invoice.lines?.data?.[0];
+    const periodStart = fromUnix(line?.period?.start || invoice.period_start);
+    const periodEnd = fromUnix(line?.period?.end || invoice.period_end);
+
+    const planName = getInvoicePlanName(invoice);
+    const plan = planName ? await prisma.plan.findUnique({ where: { name: planName } }) : null;
+
+    const data = {};
+    if (plan && plan.id !== subscription.planId) {
+      data.planId = plan.id;
+      data.pendingPlanId = null;
+    }
+    // Nouvelle période facturée: quota remis à zéro
+    if (periodStart && periodEnd && periodEnd > subscription.periodEnd) {
+      Object.assign(data, { periodStart, periodEnd, requestsUsed: 0 });
+    }
+
+    const updated = await subscriptionService.transition(subscription.id, 'active', data);
+    if (!updated) throw new Error(`Transition ${subscription.status} -> active refusée`);
+
+    return { status: 'processed', userId: subscription.userId };
+  }
+
+  /**
+   * Paiement échoué: abonnement en impayé (past_due)
+   */
+  async onPaymentFailed(invoice) {
+    const subscription = await this.findSubscription(invoice);
+    if (!subscription) return { status: 'ignored' };
+
+    // Un abonnement déjà résilié reste résilié
+    if (subscription.status === 'canceled') return { status: 'ignored' };
+
+    const updated = await subscriptionService.transition(subscription.id, 'past_due');
+    if (!updated) throw new Error(`Transition ${subscription.status} -> past_due refusée`);
+
+    return { status: 'processed', userId: subscription.userId };
+  }
+
+  /**
+   * Abonnement supprimé chez Stripe: résiliation immédiate
+   */
+  async onSubscriptionDeleted(stripeSubscription) {
+    const subscription = await this.findSubscription({
+      subscription: stripeSubscription.id,
+      customer: stripeSubscription.customer
+    });
+    if (!subscription) return { status: 'ignored' };
+
+    const updated = await subscriptionService.transition(subscription.id, 'canceled', {
+      cancelAtPeriodEnd: false,
+      pendingPlanId: null,
+      canceledAt: fromUnix(stripeSubscription.canceled_at) || new Date()
+    });
+    if (!updated) throw new Error(`Transition ${subscription.status} -> canceled refusée`);
+
+    return { status: 'processed', userId: subscription.userId };
+  }
+}
+
+// Instance singleton
+export const billingService = new BillingService();
@@ -0,0 +1,294 @@
+// Politique de crawl: robots.txt, Crawl-delay et concurrence par hôte
+// Placée devant les clients HTTP des sources (voir httpClient.js)
+
+import axios from 'axios';
+import { sleep } from '../utils/helpers.js';
+
+const DEFAULT_USER_AGENT = 'ImmoScraperAPI/1.0';
+
+/**
+ * Erreur levée quand une URL est refusée par la politique de crawl
+ */
+export class CrawlPolicyError extends Error {
+  constructor(message, { code = 'CRAWL_POLICY_ERROR', url = null } = {}) {
+    super(message);
+    this.name = 'CrawlPolicyError';
+    this.code = code;
+    this.url = url;
+  }
+}
+
+/**
+ * Parser un robots.txt en groupes { agents, rules, crawlDelay }
+ */
+export function parseRobotsTxt(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of (text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (!line || separator === -1) continue;
+
+    const field = line.substring(0, separator).trim().toLowerCase();
+    const value = line.substring(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Plusieurs User-agent consécutifs partagent le même groupe
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if ((field === 'allow' || field === 'disallow') && value) {
+      current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const seconds = parseFloat(value);
+      if (!isNaN(seconds)) current.crawlDelay = seconds;
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Convertir un chemin robots.txt (* et $) en expression régulière
+ */
+function patternToRegex(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Règles applicables à notre user agent
+ */
+export class RobotsRules {
+  constructor(groups, userAgent) {
+    const token = userAgent.split('/')[0].trim().toLowerCase();
+
+    // Groupe le plus spécifique pour notre agent, sinon le groupe "*"
+    let bestLength = 0;
+    let matched = [];
+    for (const group of groups) {
+      for (const agent of group.agents) {
+        if (agent === '*' || !token.startsWith(agent)) continue;
+        if (agent.length > bestLength) {
+          bestLength = agent.length;
+          matched = [group];
+        } else if (agent.length === bestLength && !matched.includes(group)) {
+          matched.push(group);
+        }
+      }
+    }
+    if (matched.length === 0) {
+      matched = groups.filter(group => group.agents.includes('*'));
+    }
+
+    this.rules = matched.flatMap(group => group.rules)
+      .map(rule => ({ ...rule, regex: patternToRegex(rule.path) }));
+    const delays = matched.map(group => group.crawlDelay).filter(d => d !== null);
+    this.crawlDelay = delays.length ? Math.max(...delays) : null;
+  }
+
+  /**
+   * Vérifier un chemin (avec query string) : la règle la plus longue gagne,
+   * Allow l'emporte en cas d'égalité
+   */
+  isAllowed(path) {
+    let best = null;
+
+    for (const rule of this.rules) {
+      if (!rule.regex.test(path)) continue;
+      if (!best
+        || rule.path.length > best.path.length
+        || (rule.path.length === best.path.length && rule.allow)) {
+        best = rule;
+      }
+    }
+
+    return best ? best.allow : true;
+  }
+}
+
+/**
+ * Politique de crawl partagée par les clients HTTP
+ */
+export class CrawlPolicy {
+  constructor(options = {}) {
+    this.options = options;
+    this.robotsClient = options.robotsClient || axios.create({ timeout: 10000 });
+    this.robotsCache = new Map(); // origin -> { rules (promesse), fetchedAt, ttlMs }
+    this.hosts = new Map();       // host -> { active, queue, nextAvailableAt }
+  }
+
+  get userAgent() {
+    return this.options.userAgent || process.env.CRAWLER_USER_AGENT || DEFAULT_USER_AGENT;
+  }
+
+  get defaultDelayMs() {
+    return this.options.defaultDelayMs ?? (parseInt(process.env.CRAWL_DEFAULT_DELAY_MS) || 1000);
+  }
+
+  get maxConcurrency() {
+    return this.options.maxConcurrency ?? (parseInt(process.env.CRAWL_MAX_CONCURRENCY_PER_HOST) || 2);
+  }
+
+  get robotsTtlMs() {
+    return this.options.robotsTtlMs ?? (parseInt(process.env.ROBOTS_CACHE_TTL_MS) || 24 * 60 * 60 * 1000);
+  }
+
+  get robotsFailureTtlMs() {
+    return this.options.robotsFailureTtlMs ?? (parseInt(process.env.ROBOTS_FAILURE_TTL_MS) || 5 * 60 * 1000);
+  }
+
+  /**
+   * Obtenir (et mettre en cache) les règles robots.txt d'une origine
+   * Les requêtes simultanées partagent le même téléchargement.
+   * Un échec n'est gardé en cache que ROBOTS_FAILURE_TTL_MS (5 minutes par défaut)
+   */
+  getRules(origin) {
+    const cached = this.robotsCache.get(origin);
+    if (cached && Date.now() - cached.fetchedAt < cached.ttlMs) {
+      return cached.rules;
+    }
+
+    const entry = { rules: this.fetchRules(origin), fetchedAt: Date.now(), ttlMs: this.robotsTtlMs };
+    entry.rules.then(rules => {
+      if (rules.failed) entry.ttlMs = this.robotsFailureTtlMs;
+    });
+    this.robotsCache.set(origin, entry);
+    return entry.rules;
+  }
+
+  /**
+   * Télécharger un robots.txt
+   * 4xx = aucune restriction, erreur réseau ou 5xx = tout interdit (rules.failed)
+   */
+  async fetchRules(origin) {
+    const disallowAll = [{ agents: ['*'], rules: [{ allow: false, path: '/' }], crawlDelay: null }];
+    let groups;
+    let failed = false;
+
+    try {
+      const response = await this.robotsClient.get(`${origin}/robots.txt`, {
+        headers: { 'User-Agent': this.userAgent },
+        responseType: 'text',
+        validateStatus: () => true
+      });
+
+      if (response.status >= 500) {
+        groups = disallowAll;
+        failed = true;
+      } else if (response.status >= 400) {
+        groups = [];
+      } else {
+        groups = parseRobotsTxt(String(response.data));
+      }
+    } catch (error) {
+      groups = disallowAll;
+      failed = true;
+    }
+
+    const rules = new RobotsRules(groups, this.userAgent);
+    rules.failed = failed;
+    return rules;
+  }
+
+  /**
+   * Vérifier qu'une URL peut être visitée (lève CrawlPolicyError sinon)
+   */
+  async check(url) {
+    const parsed = new URL(url);
+    const rules = await this.getRules(parsed.origin);
+
+    if (!rules.isAllowed(parsed.pathname + parsed.search)) {
+      throw new CrawlPolicyError(`URL interdite par robots.txt: ${url}`, {
+        code: 'ROBOTS_DISALLOWED',
+        url
+      });
+    }
+
+    return rules;
+  }
+
+  /**
+   * Réserver un créneau pour une URL (robots + concurrence + délai)
+   * Retourne la fonction de libération du créneau
+   */
+  async acquire(url) {
+    const rules = await this.check(url);
+    const host = new URL(url).host;
+
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, { active: 0, queue: [], nextAvailableAt: 0 });
+    }
+    const state = this.hosts.get(host);
+
+    if (state.active >= this.maxConcurrency) {
+      // Le créneau est transmis directement par la libération précédente
+      await new Promise(resolve => state.queue.push(resolve));
+    } else {
+      state.active++;
+    }
+
+    const delayMs = Math.max(this.defaultDelayMs, (rules.crawlDelay || 0) * 1000);
+    const now = Date.now();
+    const wait = state.nextAvailableAt - now;
+    state.nextAvailableAt = Math.max(now, state.nextAvailableAt) + delayMs;
+    if (wait > 0) {
+      await sleep(wait);
+    }
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      const next = state.queue.shift();
+      if (next) {
+        next();
+      } else {
+        state.active--;
+      }
+    };
+  }
+
+  /**
+   * Vider le cache robots.txt
+   */
+  clearCache() {
+    this.robotsCache.clear();
+  }
+}
+
+/**
+ * Brancher la politique de crawl sur une instance axios
+ */
+export function attachCrawlPolicy(client, policy) {
+  client.interceptors.request.use(async config => {
+    config.headers['User-Agent'] = policy.userAgent;
+    config.releaseCrawlSlot = await policy.acquire(client.getUri(config));
+    return config;
+  });
+
+  client.interceptors.response.use(response => {
+    if (response.config.releaseCrawlSlot) response.config.releaseCrawlSlot();
+    return response;
+  }, error => {
+    if (error.config && error.config.releaseCrawlSlot) error.config.releaseCrawlSlot();
+    return Promise.reject(error);
+  });
+
+  return client;
+}
@@ -0,0 +1,252 @@
+// Détection des annonces en double entre sources (et des republications)
+// Les propriétés sont regroupées par empreinte floue: code postal, surface,
+// pièces, prix, proximité GPS et titre normalisé. Chaque groupe adopte le
+// groupId de son membre le plus ancien (attribué à la création, voir propertyStore).
+
+import { PrismaClient } from '@prisma/client';
+import { normalizeString, distanceKm } from '../utils/helpers.js';
+
+const prisma = new PrismaClient();
+
+const UPDATE_CHUNK_SIZE = 500;
+
+const DEFAULT_OPTIONS = {
+  surfaceTolerance: 0.03,   // 3% d'écart de surface
+  minSurfaceDelta: 1,       // ou 1 m² pour les petites surfaces
+  priceTolerance: 0.1,      // 10% (les republications baissent souvent le prix)
+  maxDistanceKm: 0.2,       // 200 m quand les deux annonces sont géolocalisées
+  minTitleSimilarity: 0.5   // sinon, similarité des titres (Jaccard)
+};
+
+// Mots trop fréquents pour distinguer deux annonces
+const STOP_WORDS = new Set(['a', 'au', 'de', 'des', 'du', 'en', 'et', 'la', 'le', 'les', 'un', 'une', 'vendre', 'vente', 'louer', 'location']);
+
+/**
+ * Mots significatifs d'un titre
+ */
+function titleTokens(title) {
+  return new Set(normalizeString(title)
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 1 && !STOP_WORDS.has(token)));
+}
+
+/**
+ * Similarité de Jaccard entre deux ensembles de mots
+ */
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let common = 0;
+  for (const token of a) {
+    if (b.has(token)) common++;
+  }
+  return common / (a.size + b.size - common);
+}
+
+/**
+ * Union-find sur les index d'un bloc
+ */
+function createUnionFind(size) {
+  const parent = Array.from({ length: size }, (_, i) => i);
+  const find = i => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parent[rootB] = rootA;
+  };
+  return { find, union };
+}
+
+/**
+ * Détecteur de doublons
+ */
+export class DuplicateDetector {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.isRunning = false;
+    this.lastResult = null;
+  }
+
+  /**
+   * Deux propriétés décrivent-elles le même bien ?
+   */
+  isDuplicate(a, b) {
+    const opts = this.options;
+
+    if (a.postalCode !== b.postalCode) return false;
+    if (a.transactionType !== b.transactionType) return false;
+
+    // Deux ventes conclues (DVF) sont toujours des transactions distinctes
+    if (a.status === 'sold' && b.status === 'sold') return false;
+
+    if (!a.surface || !b.surface) return false;
+    const surfaceDelta = Math.max(opts.minSurfaceDelta, Math.max(a.surface, b.surface) * opts.surfaceTolerance);
+    if (Math.abs(a.surface - b.surface) > surfaceDelta) return false;
+
+    if (a.rooms && b.rooms && a.rooms !== b.rooms) return false;
+
+    if (!a.price || !b.price) return false;
+    if (Math.abs(a.price - b.price) / Math.max(a.price, b.price) > opts.priceTolerance) return false;
+
+    // Géolocalisation disponible des deux côtés: elle tranche
+    if (a.latitude && a.longitude && b.latitude && b.longitude) {
+      return distanceKm(a.latitude, a.longitude, b.latitude, b.longitude) <= opts.maxDistanceKm;
+    }
+
+    return jaccard(a.tokens, b.tokens) >= opts.minTitleSimilarity;
+  }
+
+  /**
+   * Regrouper les propriétés d'un même code postal
+   * Retourne une Map id -> groupId canonique
+   */
+  clusterBlock(rows) {
+    const items = rows
+      .map(row => ({ ...row, tokens: titleTokens(row.title) }))
+      .sort((a, b) => (a.surface || 0) - (b.surface || 0));
+
+    const { find, union } = createUnionFind(items.length);
+    const opts = this.options;
+
+    // Triées par surface: on ne compare que dans la fenêtre de tolérance
+    for (let i = 0; i < items.length; i++) {
+      if (!items[i].surface) continue;
+      const maxSurface = items[i].surface + Math.max(opts.minSurfaceDelta, items[i].surface * opts.surfaceTolerance / (1 - opts.surfaceTolerance));
+
+      for (let j = i + 1; j < items.length && items[j].surface <= maxSurface; j++) {
+        if (this.isDuplicate(items[i], items[j])) union(i, j);
+      }
+    }
+
+    // Membre canonique: le plus anciennement vu
+    const clusters = new Map();
+    items.forEach((item, i) => {
+      const root = find(i);
+      if (!clusters.has(root)) clusters.set(root, []);
+      clusters.get(root).push(item);
+    });
+
+    const isOlder = (a, b) =>
+      a.scrapedAt < b.scrapedAt || (a.scrapedAt.getTime() === b.scrapedAt.getTime() && a.id < b.id);
+
+    const groups = [...clusters.values()]
+      .map(members => ({
+        members,
+        canonical: members.reduce((oldest, item) => (isOlder(item, oldest) ? item : oldest))
+      }))
+      .sort((a, b) => (isOlder(a.canonical, b.canonical) ? -1 : 1));
+
+    // Un groupId hérité d'un ancien groupe scindé n'est gardé que par le plus ancien
+    const groupIds = new Map();
+    const used = new Set();
+    for (const { members, canonical } of groups) {
+      const groupId = canonical.groupId && !used.has(canonical.groupId)
+        ? canonical.groupId
+        : canonical.id;
+      used.add(groupId);
+      for (const item of members) {
+        groupIds.set(item.id, groupId);
+      }
+    }
+
+    return { groupIds, clusters: clusters.size };
+  }
+
+  /**
+   * Donner leur propre groupe aux propriétés sans groupId (lignes antérieures au groupId)
+   * Lancé au démarrage: le mode dédoublonné ne fusionne jamais ces lignes entre elles
+   */
+  async assignOrphanGroups() {
+    return prisma.$executeRaw`UPDATE "Property" SET "groupId" = "id" WHERE "groupId" IS NULL`;
+  }
+
+  /**
+   * Recalculer les groupes de doublons (tous les codes postaux ou une liste)
+   */
+  async run({ postalCodes = null } = {}) {
+    if (this.isRunning) {
+      throw new Error('Une détection de doublons est déjà en cours');
+    }
+
+    this.isRunning = true;
+    const startedAt = new Date();
+    const result = { blocks: 0, properties: 0, groups: 0, duplicates: 0, updated: 0 };
+
+    console.log('\n🔗 Détection des doublons...');
+
+    try {
+      const blocks = postalCodes || (await prisma.property.groupBy({
+        by: ['postalCode'],
+        where: { postalCode: { not: null } }
+      })).map(block => block.postalCode);
+
+      for (const postalCode of blocks) {
+        const rows = await prisma.property.findMany({
+          where: { postalCode },
+          select: {
+            id: true, groupId: true, title: true, price: true, surface: true, rooms: true,
+            postalCode: true, transactionType: true, status: true,
+            latitude: true, longitude: true, scrapedAt: true
+          }
+        });
+
+        const { groupIds, clusters } = this.clusterBlock(rows);
+        result.blocks++;
+        result.properties += rows.length;
+        result.groups += clusters;
+        result.duplicates += rows.length - clusters;
+
+        // Regrouper les mises à jour par groupId cible
+        const updates = new Map();
+        for (const row of rows) {
+          const groupId = groupIds.get(row.id);
+          if (row.groupId === groupId) continue;
+          if (!updates.has(groupId)) updates.set(groupId, []);
+          updates.get(groupId).push(row.id);
+        }
+
+        for (const [groupId, ids] of updates) {
+          for (let i = 0; i < ids.length; i += UPDATE_CHUNK_SIZE) {
+            const { count } = await prisma.property.updateMany({
+              where: { id: { in: ids.slice(i, i + UPDATE_CHUNK_SIZE) } },
+              data: { groupId }
+            });
+            result.updated += count;
+          }
+        }
+      }
+
+      // Propriétés sans code postal (ou antérieures au groupId): leur propre groupe
+      result.updated += await this.assignOrphanGroups();
+
+      console.log(`✅ Doublons: ${result.duplicates} annonces regroupées en ${result.groups} biens (${result.updated} mises à jour)`);
+
+      this.lastResult = { ...result, startedAt, finishedAt: new Date() };
+      return this.lastResult;
+    } catch (error) {
+      this.lastResult = { ...result, error: error.message, startedAt, finishedAt: new Date() };
+      throw error;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Obtenir le statut de la détection
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      lastResult: this.lastResult,
+      options: this.options
+    };
+  }
+}
+
+// Instance singleton
+export const duplicateDetector = new DuplicateDetector();
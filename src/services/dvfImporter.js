@@ -0,0 +1,246 @@
+// Import hors-ligne des fichiers DVF officiels
+// Formats: valeursfoncieres-YYYY.txt (DGFiP, séparateur "|") et geo-DVF full.csv(.gz) (Etalab)
+// Les lignes passent par la même normalisation que le scraping (mutationToProperty)
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import zlib from 'zlib';
+import { dvfScraper } from './dvfScraper.js';
+import { parseCsvLine } from '../utils/helpers.js';
+
+const PROGRESS_EVERY = 10000; // lignes
+
+/**
+ * Dossier autorisé pour les imports déclenchés depuis l'API
+ */
+function getImportDir() {
+  return path.resolve(process.env.DVF_IMPORT_DIR || './data/dvf');
+}
+
+/**
+ * Convertir une date DGFiP (jj/mm/aaaa) en ISO (aaaa-mm-jj)
+ */
+function frenchDateToIso(date) {
+  const match = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(date || '');
+  return match ? `${match[3]}-${match[2]}-${match[1]}` : null;
+}
+
+/**
+ * Normaliser un code département (1 -> 01, 2A reste 2A)
+ */
+function padDepartement(code) {
+  if (!code) return null;
+  return /^\d$/.test(code) ? `0${code}` : code;
+}
+
+/**
+ * Importeur de fichiers DVF
+ */
+export class DVFImporter {
+  constructor() {
+    this.isRunning = false;
+    this.progress = null;
+    this.lastResult = null;
+  }
+
+  /**
+   * Résoudre un fichier dans le dossier d'import (refuse les chemins sortants)
+   */
+  resolveImportFile(file) {
+    const importDir = getImportDir();
+    const filePath = path.resolve(importDir, file);
+
+    if (!filePath.startsWith(importDir + path.sep)) {
+      return null;
+    }
+
+    return fs.existsSync(filePath) ? filePath : null;
+  }
+
+  /**
+   * Lire un fichier ligne à ligne (décompression gzip à la volée)
+   */
+  async *readRows(filePath) {
+    let input = fs.createReadStream(filePath);
+    if (filePath.endsWith('.gz')) {
+      input = input.pipe(zlib.createGunzip());
+    }
+
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+    let headers = null;
+    let delimiter = ',';
+
+    for await (const line of lines) {
+      if (!line) continue;
+
+      if (!headers) {
+        const header = line.replace(/^\uFEFF/, '');
+        delimiter = header.includes('|') ? '|' : ',';
+        headers = parseCsvLine(header, delimiter).map(h => h.trim());
+        continue;
+      }
+
+      const values = parseCsvLine(line, delimiter);
+      const row = {};
+      headers.forEach((header, i) => {
+        row[header] = values[i] !== undefined ? values[i].trim() : '';
+      });
+
+      yield delimiter === '|' ? this.fromValeursFoncieres(row) : this.fromGeoDvf(row);
+    }
+  }
+
+  /**
+   * Ligne geo-DVF -> format de l'API DVF
+   */
+  fromGeoDvf(row) {
+    return {
+      ...row,
+      commune: row.nom_commune || row.commune
+    };
+  }
+
+  /**
+   * Ligne valeursfoncieres (DGFiP) -> format de l'API DVF
+   */
+  fromValeursFoncieres(row) {
+    const departement = padDepartement(row['Code departement']);
+    const codeCommune = (row['Code commune'] || '').padStart(3, '0');
+    const section = (row['Section'] || '').padStart(2, '0');
+    const plan = (row['No plan'] || '').padStart(4, '0');
+    const prefixe = (row['Prefixe de section'] || '').padStart(3, '0');
+
+    const mutation = {
+      date_mutation: frenchDateToIso(row['Date mutation']),
+      numero_disposition: row['No disposition'],
+      nature_mutation: row['Nature mutation'],
+      valeur_fonciere: (row['Valeur fonciere'] || '').replace(',', '.'),
+      adresse_numero: row['No voie'],
+      adresse_nom_voie: [row['Type de voie'], row['Voie']].filter(Boolean).join(' '),
+      code_postal: row['Code postal'] ? row['Code postal'].padStart(5, '0') : null,
+      commune: row['Commune'],
+      code_departement: departement,
+      code_commune: departement ? `${departement}${codeCommune}` : null,
+      id_parcelle: departement && row['No plan'] ? `${departement}${codeCommune}${prefixe}${section}${plan}` : null,
+      lot1_numero: row['1er lot'],
+      code_type_local: row['Code type local'],
+      type_local: row['Type local'],
+      id_local: row['Identifiant local'],
+      surface_reelle_bati: row['Surface reelle bati'],
+      nombre_pieces_principales: row['Nombre pieces principales']
+    };
+
+    // Le fichier DGFiP n'a pas d'identifiant de mutation
+    mutation.id_mutation = dvfScraper.hashMutation(mutation);
+    return mutation;
+  }
+
+  /**
+   * Importer un fichier, avec filtre département/année optionnel
+   */
+  async import(filePath, { departements = null, annee = null, onProgress } = {}) {
+    if (this.isRunning) {
+      throw new Error('Un import DVF est déjà en cours');
+    }
+
+    this.isRunning = true;
+    const batchSize = parseInt(process.env.DVF_IMPORT_BATCH_SIZE) || 500;
+    const startedAt = new Date();
+    const progress = {
+      file: path.basename(filePath),
+      lines: 0,
+      matched: 0, // mutations retenues par le filtre
+      properties: 0,
+      saved: 0,
+      errors: 0,
+      startedAt
+    };
+    this.progress = progress;
+
+    const report = () => {
+      console.log(`   📥 ${progress.lines} lignes lues, ${progress.properties} propriétés, ${progress.saved} sauvegardées`);
+      if (onProgress) onProgress({ ...progress });
+    };
+
+    const flush = async batch => {
+      const result = await dvfScraper.saveProperties(batch);
+      progress.saved += result.saved;
+      progress.errors += result.errors;
+    };
+
+    console.log(`\n📂 Import DVF: ${filePath}`);
+
+    try {
+      let batch = [];
+      let current = [];
+
+      // Les lignes d'une même mutation se suivent dans les fichiers
+      const processMutation = async rows => {
+        const first = rows[0];
+        if (departements && !departements.includes(first.code_departement)) return;
+        if (annee && !(first.date_mutation || '').startsWith(String(annee))) return;
+        progress.matched++;
+
+        const property = dvfScraper.mutationToProperty(rows);
+        if (!property) return;
+
+        progress.properties++;
+        batch.push(property);
+
+        if (batch.length >= batchSize) {
+          await flush(batch);
+          batch = [];
+        }
+      };
+
+      for await (const row of this.readRows(filePath)) {
+        progress.lines++;
+
+        if (progress.lines % PROGRESS_EVERY === 0) report();
+
+        if (current.length > 0 && current[0].id_mutation !== row.id_mutation) {
+          await processMutation(current);
+          current = [];
+        }
+        current.push(row);
+      }
+
+      if (current.length > 0) {
+        await processMutation(current);
+      }
+
+      if (batch.length > 0) {
+        await flush(batch);
+      }
+
+      report();
+      console.log(`✅ Import terminé: ${progress.saved} propriétés sauvegardées`);
+
+      this.lastResult = { ...progress, finishedAt: new Date() };
+      return this.lastResult;
+    } catch (error) {
+      this.lastResult = { ...progress, error: error.message, finishedAt: new Date() };
+      throw error;
+    } finally {
+      this.isRunning = false;
+      this.progress = null;
+    }
+  }
+
+  /**
+   * Obtenir le statut de l'import
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      progress: this.progress,
+      lastResult: this.lastResult,
+      importDir: getImportDir()
+    };
+  }
+}
+
+// Export de l'instance
+export const dvfImporter = new DVFImporter();
@@ -2,13 +2,17 @@
 // Source: API officielle du gouvernement français - 100% légal et gratuit
 // Documentation: https://api.gouv.fr/les-api/api-dvf
 
-import axios from 'axios';
+import crypto from 'crypto';
 import { PrismaClient } from '@prisma/client';
+import { createHttpClient } from './httpClient.js';
+import { propertyStore } from './propertyStore.js';
 
 const prisma = new PrismaClient();
 
 // Configuration de l'API DVF
 const DVF_API_BASE = 'https://api.cquest.org/dvf';
+const PER_PAGE = 500;
+const SOURCE = 'dvf_gouv';
 
 // Liste des départements à scraper
 const DEPARTEMENTS = [
@@ -37,86 +41,365 @@ const TYPE_LOCAL_MAP = {
  */
 export class DVFScraper {
   constructor() {
-    this.httpClient = axios.create({
-      timeout: 30000,
-      headers: {
-        'Accept': 'application/json',
-        'User-Agent': 'ImmoScraperAPI/1.0'
-      }
+    this.httpClient = createHttpClient({
+      headers: { 'Accept': 'application/json' }
+    });
+  }
+
+  /**
+   * Récupérer une page de mutations pour un département
+   */
+  async fetchPage(codeDepartement, annee, page) {
+    const url = `${DVF_API_BASE}?code_departement=${codeDepartement}&annee_mutation=${annee}&page=${page}&per_page=${PER_PAGE}`;
+
+    const response = await this.httpClient.get(url);
+    const data = response.data || {};
+    const mutations = data.resultats || [];
+
+    return {
+      mutations,
+      totalPages: this.getTotalPages(data, mutations.length, page)
+    };
+  }
+
+  /**
+   * Rechercher des mutations par critères (code_postal, code_departement...)
+   */
+  async searchMutations(query) {
+    const response = await this.httpClient.get(DVF_API_BASE, {
+      params: { ...query, page: 1, per_page: PER_PAGE }
     });
+    return (response.data && response.data.resultats) || [];
   }
 
   /**
-   * Scraper les mutations pour un département
+   * Déduire le nombre de pages depuis la réponse de l'API
+   * Retourne null si l'API ne donne pas de total et que la page est pleine
+   */
+  getTotalPages(data, count, page) {
+    if (data.nb_pages) return parseInt(data.nb_pages);
+    if (data.nb_resultats) return Math.max(1, Math.ceil(parseInt(data.nb_resultats) / PER_PAGE));
+    return count < PER_PAGE ? page : null;
+  }
+
+  /**
+   * Charger le curseur d'un département/année
+   * Un curseur terminé repart de la page 1 pour un nouveau cycle
+   */
+  async loadCursor(codeDepartement, annee) {
+    const where = {
+      source_departement_annee: { source: SOURCE, departement: codeDepartement, annee }
+    };
+
+    const cursor = await prisma.scrapeCursor.findUnique({ where });
+
+    if (!cursor) {
+      return prisma.scrapeCursor.create({
+        data: { source: SOURCE, departement: codeDepartement, annee }
+      });
+    }
+
+    if (cursor.completed) {
+      return prisma.scrapeCursor.update({
+        where: { id: cursor.id },
+        data: { page: 0, totalPages: null, rows: 0, carriedMutation: null, completed: false, startedAt: new Date() }
+      });
+    }
+
+    return cursor;
+  }
+
+  /**
+   * Scraper toutes les pages d'un département, en reprenant depuis le curseur
    */
   async scrapeDepartement(codeDepartement, annee = 2023) {
+    console.log(`📍 Scraping département ${codeDepartement} (${annee})...`);
+
+    const report = {
+      departement: codeDepartement,
+      annee,
+      pages: 0,
+      totalPages: null,
+      rows: 0,
+      properties: 0,
+      saved: 0,
+      errors: 0,
+      resumedFromPage: null,
+      completed: false
+    };
+
     try {
-      console.log(`📍 Scraping département ${codeDepartement} (${annee})...`);
-      
-      const url = `${DVF_API_BASE}?code_departement=${codeDepartement}&annee_mutation=${annee}&page=1&per_page=500`;
-      
-      const response = await this.httpClient.get(url);
-      
-      if (!response.data || !response.data.resultats) {
-        console.log(`   Pas de données pour ${codeDepartement}`);
-        return [];
+      const cursor = await this.loadCursor(codeDepartement, annee);
+      report.pages = cursor.page;
+      report.totalPages = cursor.totalPages;
+      report.rows = cursor.rows;
+
+      // Reprise: la dernière page sauvegardée est relue (upserts idempotents)
+      // pour récupérer une mutation à cheval sur la page suivante.
+      // Sa première mutation, si elle commençait sur la page d'avant (carriedMutation),
+      // a déjà été sauvegardée complète: relue seule, elle l'écraserait sans ses premières lignes
+      const rereadPage = cursor.page > 0 ? cursor.page : null;
+      if (rereadPage) {
+        report.resumedFromPage = rereadPage;
+        console.log(`   ↪️ Reprise à la page ${rereadPage}`);
+      }
+
+      let page = rereadPage || 1;
+      let pending = [];
+
+      while (report.totalPages === null || page <= report.totalPages) {
+        const { mutations, totalPages } = await this.fetchPage(codeDepartement, annee, page);
+
+        if (mutations.length === 0) {
+          report.totalPages = page - 1;
+          break;
+        }
+
+        const carriedMutation = pending.length > 0 ? this.getMutationId(pending[0]) : null;
+
+        // La dernière mutation de la page peut continuer sur la suivante
+        const groups = this.groupMutations(pending.concat(mutations));
+        const isLastPage = page === totalPages;
+
+        // Une mutation reportée qui continue encore sur la page suivante n'a jamais été sauvegardée
+        const continues = !isLastPage && groups.length === 1;
+        if (page === rereadPage && !continues && cursor.carriedMutation
+          && this.getMutationId(groups[0][0]) === cursor.carriedMutation) {
+          groups.shift();
+        }
+        pending = isLastPage ? [] : groups.pop() || [];
+
+        // Convertir et sauvegarder page par page pour pouvoir reprendre
+        const result = await this.saveMutations(groups);
+
+        if (page !== rereadPage) {
+          report.rows += mutations.length;
+        }
+        report.pages = page;
+        report.totalPages = totalPages;
+        report.properties += result.properties;
+        report.saved += result.saved;
+        report.errors += result.errors;
+
+        await prisma.scrapeCursor.update({
+          where: { id: cursor.id },
+          data: {
+            page,
+            totalPages,
+            rows: report.rows,
+            // Relecture de la même page: la mutation reportée reste celle du premier passage
+            carriedMutation: page === rereadPage ? cursor.carriedMutation : carriedMutation
+          }
+        });
+
+        page++;
+
+        // Pause pour ne pas surcharger l'API
+        await this.delay(500);
+      }
+
+      if (pending.length > 0) {
+        const result = await this.saveMutations([pending]);
+        report.properties += result.properties;
+        report.saved += result.saved;
+        report.errors += result.errors;
       }
 
-      const mutations = response.data.resultats;
-      console.log(`   ✅ ${mutations.length} transactions trouvées`);
-      
-      return mutations;
+      await prisma.scrapeCursor.update({
+        where: { id: cursor.id },
+        data: { completed: true, totalPages: report.totalPages }
+      });
+      report.completed = true;
+
+      console.log(`   ✅ ${report.rows} transactions sur ${report.pages} page(s)`);
     } catch (error) {
-      console.error(`   ❌ Erreur département ${codeDepartement}:`, error.message);
-      return [];
+      // Le curseur reste en place : le prochain cycle reprendra ici
+      report.error = error.message;
+      report.errorCode = error.code || null;
+      console.error(`   ❌ Erreur département ${codeDepartement} (page ${report.pages + 1}):`, error.message);
+    }
+
+    return report;
+  }
+
+  /**
+   * Identifiant de la mutation d'une ligne DVF
+   */
+  getMutationId(row) {
+    return row.id_mutation || this.hashMutation(row);
+  }
+
+  /**
+   * Regrouper les lignes DVF par mutation (une vente = plusieurs lignes)
+   * L'ordre d'apparition des mutations est conservé
+   */
+  groupMutations(rows) {
+    const groups = new Map();
+
+    for (const row of rows) {
+      const id = this.getMutationId(row);
+      if (!groups.has(id)) groups.set(id, []);
+      groups.get(id).push(row);
+    }
+
+    return [...groups.values()];
+  }
+
+  /**
+   * Locaux bâtis distincts d'une mutation
+   * DVF répète un même local pour chaque parcelle / nature de culture
+   */
+  getBuiltLocals(rows) {
+    const locals = new Map();
+
+    for (const row of rows) {
+      if (!row.type_local) continue;
+
+      const key = [
+        row.id_parcelle,
+        row.id_local || row.lot1_numero,
+        row.code_type_local || row.type_local,
+        row.surface_reelle_bati
+      ].join('|');
+
+      if (!locals.has(key)) locals.set(key, row);
     }
+
+    return [...locals.values()];
   }
 
   /**
-   * Convertir une mutation DVF en propriété
+   * Convertir une mutation DVF (ses lignes groupées, ou une ligne seule) en propriété
    */
   mutationToProperty(mutation) {
-    // Filtrer les ventes sans prix ou surface
-    if (!mutation.valeur_fonciere || !mutation.surface_reelle_bati) {
+    const rows = Array.isArray(mutation) ? mutation : [mutation];
+    const first = rows[0];
+
+    // Filtrer les ventes sans prix
+    if (!first || !first.valeur_fonciere) {
       return null;
     }
 
-    const price = parseFloat(mutation.valeur_fonciere);
-    const surface = parseFloat(mutation.surface_reelle_bati);
-    
+    // La valeur foncière est celle de toute la mutation, répétée sur chaque ligne
+    const price = parseFloat(first.valeur_fonciere);
+
+    const locals = this.getBuiltLocals(rows);
+    const dependances = locals.filter(l => l.type_local === 'Dépendance');
+    const mainLocals = locals
+      .filter(l => l.type_local !== 'Dépendance' && parseFloat(l.surface_reelle_bati) > 0)
+      .sort((a, b) => parseFloat(b.surface_reelle_bati) - parseFloat(a.surface_reelle_bati));
+
+    // Filtrer les ventes sans surface bâtie
+    if (mainLocals.length === 0) {
+      return null;
+    }
+
+    const surface = mainLocals.reduce((acc, l) => acc + parseFloat(l.surface_reelle_bati), 0);
+    const largest = parseFloat(mainLocals[0].surface_reelle_bati);
+
     // Ignorer les transactions trop petites ou trop grandes
-    if (price < 10000 || price > 50000000 || surface < 9 || surface > 1000) {
+    if (price < 10000 || price > 50000000 || surface < 9 || largest > 1000) {
       return null;
     }
 
-    const propertyType = TYPE_LOCAL_MAP[mutation.type_local] || 'autre';
-    const pricePerSqm = Math.round(price / surface);
+    const primary = mainLocals[0];
+    const isMultiAsset = mainLocals.length > 1;
+    const types = new Set(mainLocals.map(l => TYPE_LOCAL_MAP[l.type_local] || 'autre'));
+    const propertyType = TYPE_LOCAL_MAP[primary.type_local] || 'autre';
+
+    // Un prix au m² n'a de sens que si tous les lots sont du même type
+    const pricePerSqm = types.size === 1 ? Math.round(price / surface) : null;
+
+    const rooms = mainLocals.reduce((acc, l) => acc + (parseInt(l.nombre_pieces_principales) || 0), 0) || null;
+    const commune = primary.commune || 'France';
+    const dependancesText = dependances.length ? ` ${dependances.length} dépendance(s).` : '';
 
     return {
-      externalId: `DVF_${mutation.id_mutation || Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      source: 'dvf_gouv',
-      title: `${mutation.type_local || 'Bien'} ${mutation.nombre_pieces_principales || ''} pièces - ${mutation.commune || 'France'}`.trim(),
-      description: `Vente immobilière à ${mutation.commune || 'N/A'} (${mutation.code_postal || 'N/A'}). Surface: ${surface}m². ${mutation.nombre_pieces_principales || 'N/A'} pièces.`,
+      externalId: this.buildExternalId(primary),
+      source: SOURCE,
+      title: isMultiAsset
+        ? `Vente de ${mainLocals.length} lots - ${commune}`
+        : `${primary.type_local || 'Bien'} ${primary.nombre_pieces_principales || ''} pièces - ${commune}`.trim(),
+      description: isMultiAsset
+        ? `Vente groupée à ${primary.commune || 'N/A'} (${primary.code_postal || 'N/A'}): ${mainLocals.map(l => `${l.type_local} ${l.surface_reelle_bati}m²`).join(', ')}.${dependancesText}`
+        : `Vente immobilière à ${primary.commune || 'N/A'} (${primary.code_postal || 'N/A'}). Surface: ${surface}m². ${primary.nombre_pieces_principales || 'N/A'} pièces.${dependancesText}`,
       price: price,
       pricePerSqm: pricePerSqm,
       surface: surface,
-      rooms: mutation.nombre_pieces_principales ? parseInt(mutation.nombre_pieces_principales) : null,
+      rooms: rooms,
       bedrooms: null,
       propertyType: propertyType,
       transactionType: 'vente',
-      city: mutation.commune || null,
-      postalCode: mutation.code_postal || null,
-      department: mutation.code_departement || null,
-      region: this.getRegionFromDepartement(mutation.code_departement),
-      latitude: mutation.latitude ? parseFloat(mutation.latitude) : null,
-      longitude: mutation.longitude ? parseFloat(mutation.longitude) : null,
+      status: 'sold', // Une mutation DVF est une vente conclue
+      isMultiAsset: isMultiAsset,
+      lotCount: mainLocals.length,
+      city: primary.commune || null,
+      postalCode: primary.code_postal || null,
+      department: primary.code_departement || null,
+      region: this.getRegionFromDepartement(primary.code_departement),
+      latitude: primary.latitude ? parseFloat(primary.latitude) : null,
+      longitude: primary.longitude ? parseFloat(primary.longitude) : null,
       imageUrls: JSON.stringify([]),
       url: `https://app.dvf.etalab.gouv.fr/`,
-      publishedAt: mutation.date_mutation ? new Date(mutation.date_mutation) : new Date(),
+      publishedAt: primary.date_mutation ? new Date(primary.date_mutation) : new Date(),
       scrapedAt: new Date()
     };
   }
 
+  /**
+   * Convertir et sauvegarder des mutations groupées
+   */
+  async saveMutations(groups) {
+    const properties = groups
+      .map(rows => this.mutationToProperty(rows))
+      .filter(p => p !== null);
+
+    const result = await this.saveProperties(properties);
+    return { properties: properties.length, ...result };
+  }
+
+  /**
+   * Identifiant stable d'un lot : mutation + parcelle + local
+   * Format: DVF_<id_mutation>_<id_parcelle>_<local>
+   */
+  buildExternalId(mutation) {
+    const idMutation = mutation.id_mutation || this.hashMutation(mutation);
+    const parcelle = mutation.id_parcelle || 'NA';
+    const local = mutation.id_local
+      || mutation.lot1_numero
+      || `${mutation.code_type_local || 'X'}-${mutation.surface_reelle_bati || 0}`;
+
+    const segment = value => String(value).trim().replace(/[_\s]+/g, '-');
+    return `DVF_${segment(idMutation)}_${segment(parcelle)}_${segment(local)}`;
+  }
+
+  /**
+   * Empreinte d'une mutation quand la source ne fournit pas d'id_mutation
+   * Champs figés: les externalId déjà enregistrés en dépendent. L'adresse distingue les ventes
+   * d'un même jour et d'un même prix dans la commune; pas la parcelle, une vente pouvant en couvrir plusieurs
+   */
+  hashMutation(mutation) {
+    const parts = [
+      mutation.date_mutation,
+      mutation.valeur_fonciere,
+      mutation.code_commune,
+      mutation.adresse_numero,
+      mutation.adresse_nom_voie
+    ];
+    return crypto.createHash('sha1').update(parts.join('|')).digest('hex').substring(0, 16);
+  }
+
+  /**
+   * Décomposer un externalId DVF (nouveau format ou ancien format aléatoire)
+   */
+  parseExternalId(externalId) {
+    const parts = externalId.split('_');
+    if (parts[0] !== 'DVF') return null;
+    if (parts.length === 4) return { idMutation: parts[1], legacy: false };
+    if (parts.length === 3) return { idMutation: parts[1], legacy: true };
+    return null;
+  }
+
   /**
    * Obtenir la région depuis le département
    */
@@ -134,29 +417,61 @@ export class DVFScraper {
   }
 
   /**
-   * Sauvegarder les propriétés en base
+   * Sauvegarder les propriétés en base (historique des prix via propertyStore)
    */
   async saveProperties(properties) {
-    let saved = 0;
-    let errors = 0;
-
-    for (const prop of properties) {
-      try {
-        await prisma.property.upsert({
-          where: { externalId: prop.externalId },
-          update: {
-            ...prop,
-            updatedAt: new Date()
-          },
-          create: prop
-        });
-        saved++;
-      } catch (error) {
-        errors++;
-      }
+    const { saved, errors } = await propertyStore.saveMany(properties);
+    return { saved, errors };
+  }
+
+  /**
+   * Fusionner les doublons DVF: anciens externalId aléatoires et anciennes
+   * lignes par lot d'une mutation désormais regroupée.
+   * A lancer après un premier scraping avec les identifiants stables :
+   * l'identifiant stable le plus récent est conservé. Une ligne à l'ancien format
+   * n'est supprimée que si sa mutation a déjà une ligne au nouveau format.
+   */
+  async deduplicate() {
+    const rows = await prisma.property.findMany({
+      where: { source: SOURCE },
+      select: { id: true, externalId: true, updatedAt: true }
+    });
+
+    const groups = new Map();
+    for (const row of rows) {
+      const parsed = this.parseExternalId(row.externalId);
+      if (!parsed) continue;
+
+      // Une mutation = une propriété
+      const key = parsed.idMutation;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push({ ...row, legacy: parsed.legacy });
     }
 
-    return { saved, errors };
+    const toDelete = [];
+    let merged = 0;
+
+    for (const group of groups.values()) {
+      const stable = group.filter(row => !row.legacy);
+      if (group.length < 2 || stable.length === 0) continue;
+
+      stable.sort((a, b) => b.updatedAt - a.updatedAt);
+      toDelete.push(
+        ...group.filter(row => row.legacy).map(row => row.id),
+        ...stable.slice(1).map(row => row.id)
+      );
+      merged++;
+    }
+
+    let deleted = 0;
+    for (let i = 0; i < toDelete.length; i += 500) {
+      const result = await prisma.property.deleteMany({
+        where: { id: { in: toDelete.slice(i, i + 500) } }
+      });
+      deleted += result.count;
+    }
+
+    return { scanned: rows.length, groups: merged, deleted };
   }
 
   /**
@@ -167,46 +482,44 @@ export class DVFScraper {
     console.log(`📅 Date: ${new Date().toLocaleString('fr-FR')}`);
     console.log('─'.repeat(50));
 
-    let totalProperties = [];
+    const reports = [];
     const annees = [2023, 2022]; // Années à scraper
 
     for (const annee of annees) {
       console.log(`\n📆 Année ${annee}:`);
-      
+
       for (const dep of DEPARTEMENTS) {
-        const mutations = await this.scrapeDepartement(dep, annee);
-        
-        // Convertir en propriétés
-        const properties = mutations
-          .map(m => this.mutationToProperty(m))
-          .filter(p => p !== null);
-        
-        totalProperties = totalProperties.concat(properties);
-        
-        // Pause pour ne pas surcharger l'API
-        await this.delay(500);
+        reports.push(await this.scrapeDepartement(dep, annee));
       }
     }
 
-    console.log('\n─'.repeat(50));
-    console.log(`📊 Total: ${totalProperties.length} propriétés récupérées`);
+    const sum = field => reports.reduce((acc, r) => acc + r[field], 0);
+    const incomplete = reports.filter(r => !r.completed);
 
-    // Sauvegarder en base
-    console.log('💾 Sauvegarde en base de données...');
-    const result = await this.saveProperties(totalProperties);
-    
-    console.log(`✅ ${result.saved} propriétés sauvegardées`);
-    if (result.errors > 0) {
-      console.log(`⚠️ ${result.errors} erreurs`);
+    console.log('\n' + '─'.repeat(50));
+    console.log('📊 Couverture par département:');
+    for (const r of reports) {
+      const status = r.completed ? '✅' : '⚠️';
+      console.log(`   ${status} ${r.departement} (${r.annee}): ${r.pages}/${r.totalPages ?? '?'} pages, ${r.rows} lignes`);
+    }
+
+    console.log(`\n✅ ${sum('saved')} propriétés sauvegardées sur ${sum('properties')} récupérées`);
+    if (sum('errors') > 0) {
+      console.log(`⚠️ ${sum('errors')} erreurs`);
+    }
+    if (incomplete.length > 0) {
+      console.log(`⚠️ ${incomplete.length} département(s) incomplet(s), reprise au prochain cycle`);
     }
 
     console.log('\n🎉 Scraping terminé !');
     console.log('─'.repeat(50));
 
     return {
-      total: totalProperties.length,
-      saved: result.saved,
-      errors: result.errors,
+      total: sum('properties'),
+      rows: sum('rows'),
+      saved: sum('saved'),
+      errors: sum('errors'),
+      departements: reports,
       scrapedAt: new Date()
     };
   }
@@ -0,0 +1,69 @@
+// Jetons signés envoyés par email (vérification d'adresse, récupération de compte)
+// Format: <contenu base64url>.<HMAC-SHA256 base64url>, rien n'est stocké en base.
+// Le contenu porte un état du compte (stamp): le jeton devient invalide dès que cet état change,
+// ce qui le rend utilisable une seule fois
+
+import crypto from 'crypto';
+import { secureCompare } from './apiKeys.js';
+
+export const TOKEN_PURPOSES = ['verify', 'recover'];
+
+/**
+ * Secret de signature (EMAIL_TOKEN_SECRET, sinon API_SECRET)
+ */
+function getTokenSecret() {
+  const secret = process.env.EMAIL_TOKEN_SECRET || process.env.API_SECRET;
+  if (!secret) {
+    throw new Error('EMAIL_TOKEN_SECRET ou API_SECRET doit être défini pour signer les jetons email');
+  }
+  return secret;
+}
+
+/**
+ * Signature d'un contenu encodé
+ */
+function sign(encoded) {
+  return crypto.createHmac('sha256', getTokenSecret()).update(encoded).digest('base64url');
+}
+
+/**
+ * Créer un jeton pour un utilisateur
+ * stamp: état du compte à la création (ex: date de la dernière récupération)
+ */
+export function createEmailToken(purpose, userId, stamp, ttlMs) {
+  if (!TOKEN_PURPOSES.includes(purpose)) {
+    throw new Error(`Usage de jeton inconnu: ${purpose}`);
+  }
+
+  const payload = { p: purpose, u: userId, s: stamp, e: Date.now() + ttlMs };
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encoded}.${sign(encoded)}`;
+}
+
+/**
+ * Vérifier un jeton
+ * Retourne { userId, stamp, expiresAt } ou { error: INVALID_TOKEN | TOKEN_EXPIRED }
+ */
+export function verifyEmailToken(token, purpose) {
+  const [encoded, signature] = (token || '').split('.');
+  if (!encoded || !signature || !secureCompare(signature, sign(encoded))) {
+    return { error: 'INVALID_TOKEN' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encoded, 'base64url').toString());
+  } catch (error) {
+    return { error: 'INVALID_TOKEN' };
+  }
+
+  if (payload.p !== purpose || !payload.u) {
+    return { error: 'INVALID_TOKEN' };
+  }
+
+  if (!(payload.e > Date.now())) {
+    return { error: 'TOKEN_EXPIRED' };
+  }
+
+  return { userId: payload.u, stamp: payload.s, expiresAt: new Date(payload.e) };
+}
@@ -0,0 +1,31 @@
+// Clients HTTP des sources, tous soumis à la politique de crawl
+import axios from 'axios';
+import { CrawlPolicy, attachCrawlPolicy } from './crawlPolicy.js';
+
+// Politique partagée: un même hôte est limité quel que soit le client
+export const crawlPolicy = new CrawlPolicy();
+
+/**
+ * Créer un client axios respectant robots.txt, Crawl-delay et la concurrence par hôte
+ */
+export function createHttpClient({ headers = {}, timeout = 30000, policy = crawlPolicy } = {}) {
+  const client = axios.create({
+    timeout,
+    headers: {
+      'Accept-Language': 'fr-FR,fr;q=0.9,en-US;q=0.8,en;q=0.7',
+      ...headers
+    }
+  });
+
+  return attachCrawlPolicy(client, policy);
+}
+
+// Client configuré pour les pages HTML
+export const httpClient = createHttpClient({
+  headers: {
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+    'Accept-Encoding': 'gzip, deflate, br',
+    'Connection': 'keep-alive',
+    'Upgrade-Insecure-Requests': '1'
+  }
+});
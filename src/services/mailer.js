@@ -0,0 +1,125 @@
+// Envoi des emails (vérification d'adresse, récupération de compte)
+// Le transport est interchangeable: MAIL_TRANSPORT=smtp (SMTP_URL), console (défaut) ou file,
+// ou tout objet exposant `async send(message)` via mailer.setTransport (API d'un fournisseur...)
+// En production (NODE_ENV=production), console et file sont refusés au démarrage
+
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+// Transports qui n'envoient rien: développement et tests uniquement
+const LOCAL_TRANSPORTS = ['console', 'file'];
+
+/**
+ * Transport console: le message est affiché dans les logs
+ */
+export function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log(`📧 Email pour ${message.to}: ${message.subject}\n${message.text}`);
+      return { id: null };
+    }
+  };
+}
+
+/**
+ * Transport fichier: un fichier JSON par message (tests, développement)
+ */
+export function createFileTransport(dir) {
+  return {
+    name: 'file',
+    dir,
+    async send(message) {
+      await fs.mkdir(dir, { recursive: true });
+      const id = `${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
+      await fs.writeFile(path.join(dir, `${id}.json`), JSON.stringify(message, null, 2));
+      return { id };
+    }
+  };
+}
+
+/**
+ * Transport SMTP (smtp://user:pass@hôte:587 ou smtps://user:pass@hôte:465)
+ */
+export function createSmtpTransport(url) {
+  if (!url) {
+    throw new Error('SMTP_URL doit être défini pour MAIL_TRANSPORT=smtp');
+  }
+
+  const smtp = nodemailer.createTransport(url);
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await smtp.sendMail({
+        from: message.from,
+        to: message.to,
+        subject: message.subject,
+        text: message.text
+      });
+      return { id: info.messageId };
+    }
+  };
+}
+
+/**
+ * Transport configuré par l'environnement
+ */
+function createTransportFromEnv() {
+  const type = process.env.MAIL_TRANSPORT || 'console';
+
+  if (process.env.NODE_ENV === 'production' && LOCAL_TRANSPORTS.includes(type)) {
+    throw new Error(`MAIL_TRANSPORT=${type} n'envoie aucun email: configurer MAIL_TRANSPORT=smtp en production`);
+  }
+
+  if (type === 'smtp') {
+    return createSmtpTransport(process.env.SMTP_URL);
+  }
+  if (type === 'file') {
+    return createFileTransport(process.env.MAIL_FILE_DIR || './data/mails');
+  }
+  if (type !== 'console') {
+    throw new Error(`MAIL_TRANSPORT inconnu: ${type} (smtp, console ou file, sinon mailer.setTransport)`);
+  }
+  return createConsoleTransport();
+}
+
+/**
+ * Service d'envoi des emails
+ */
+export class Mailer {
+  constructor() {
+    this.transport = null;
+  }
+
+  get from() {
+    return process.env.MAIL_FROM || 'Immo API <no-reply@localhost>';
+  }
+
+  /**
+   * Créer le transport configuré (appelé au démarrage: une configuration invalide arrête le serveur)
+   */
+  init() {
+    if (!this.transport) {
+      this.transport = createTransportFromEnv();
+    }
+    return this.transport;
+  }
+
+  /**
+   * Remplacer le transport (objet avec `async send({ from, to, subject, text })`)
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Envoyer un email texte
+   */
+  async send({ to, subject, text }) {
+    return this.init().send({ from: this.from, to, subject, text, date: new Date().toISOString() });
+  }
+}
+
+// Instance singleton
+export const mailer = new Mailer();
@@ -0,0 +1,135 @@
+// Extraction déclarative des pages d'annonces (cheerio)
+// Chaque source décrit ses sélecteurs; aucune logique de parsing par site
+//
+// Exemple de configuration:
+// {
+//   list: {
+//     item: '.listing-item',
+//     fields: {
+//       externalId: { selector: '', attr: 'data-id' },
+//       title: '.title',
+//       price: { selector: '.price', parse: 'price' },
+//       url: { selector: 'a', attr: 'href', absolute: true },
+//       imageUrls: { selector: 'img', attr: 'src', all: true, absolute: true }
+//     }
+//   },
+//   detail: {
+//     fields: {
+//       surface: { selector: '.surface', parse: 'surface' },
+//       energyClass: { selector: '.dpe', parse: 'dpe' }
+//     }
+//   }
+// }
+
+import * as cheerio from 'cheerio';
+import {
+  parsePrice,
+  parseSurface,
+  parseRooms,
+  parseBedrooms,
+  parseEnergyClass,
+  parseFloor,
+  parseYearBuilt,
+  toNumber
+} from './frenchParsers.js';
+
+// Parsers utilisables par nom dans la configuration
+const PARSERS = {
+  text: value => value,
+  number: value => toNumber(value),
+  price: parsePrice,
+  surface: parseSurface,
+  rooms: parseRooms,
+  bedrooms: parseBedrooms,
+  dpe: value => parseEnergyClass(value, 'dpe'),
+  ges: value => parseEnergyClass(value, 'ges'),
+  floor: parseFloor,
+  yearBuilt: parseYearBuilt
+};
+
+/**
+ * Nettoyer un texte extrait (espaces multiples, retours à la ligne)
+ */
+function cleanText(text) {
+  return text ? text.replace(/\s+/g, ' ').trim() : '';
+}
+
+/**
+ * Rendre une URL absolue par rapport à la base de la source
+ */
+function toAbsoluteUrl(value, baseUrl) {
+  if (!value || !baseUrl) return value;
+  try {
+    return new URL(value, baseUrl).toString();
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Extraire un champ depuis un élément racine
+ * spec: "sélecteur" ou { selector, attr, all, parse, absolute, default }
+ */
+function extractField($, root, spec, baseUrl) {
+  const field = typeof spec === 'string' ? { selector: spec } : spec;
+  const elements = field.selector ? root.find(field.selector) : root;
+
+  const readValue = element => {
+    const el = $(element);
+    let value = field.attr ? el.attr(field.attr) : cleanText(el.text());
+    if (field.absolute) value = toAbsoluteUrl(value, baseUrl);
+    return value;
+  };
+
+  const parse = typeof field.parse === 'function'
+    ? field.parse
+    : PARSERS[field.parse || 'text'];
+
+  if (!parse) {
+    throw new Error(`Parser inconnu: ${field.parse}`);
+  }
+
+  if (field.all) {
+    return elements.toArray()
+      .map(readValue)
+      .filter(Boolean)
+      .map(value => parse(value));
+  }
+
+  const value = elements.length ? readValue(elements.first()) : null;
+  const parsed = value ? parse(value) : null;
+  return parsed ?? field.default ?? null;
+}
+
+/**
+ * Extraire tous les champs configurés
+ */
+function extractFields($, root, fields, baseUrl) {
+  const result = {};
+  for (const [name, spec] of Object.entries(fields)) {
+    result[name] = extractField($, root, spec, baseUrl);
+  }
+  return result;
+}
+
+/**
+ * Extraire les annonces d'une page de résultats
+ */
+export function extractListings(html, config, baseUrl = null) {
+  const $ = cheerio.load(html);
+  const listConfig = config.list;
+
+  return $(listConfig.item).toArray()
+    .map(item => extractFields($, $(item), listConfig.fields, baseUrl));
+}
+
+/**
+ * Extraire les champs d'une page de détail
+ */
+export function extractDetails(html, config, baseUrl = null) {
+  const $ = cheerio.load(html);
+  const detailConfig = config.detail;
+  const root = detailConfig.root ? $(detailConfig.root).first() : $.root();
+
+  return extractFields($, root, detailConfig.fields, baseUrl);
+}
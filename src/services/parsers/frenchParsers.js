@@ -0,0 +1,222 @@
+// Parsers des textes d'annonces immobilières françaises
+// (prix, honoraires, charges, surface Carrez, pièces, DPE/GES, étage, année)
+
+// Nombre au format français: "1 250 000", "1.250.000", "45,5", "850"
+const NUMBER = String.raw`\d{1,3}(?:[ \u00a0\u202f.]\d{3})+(?:,\d+)?|\d+(?:[.,]\d+)?`;
+
+/**
+ * Convertir un nombre au format français en Number
+ */
+export function toNumber(str) {
+  if (str === null || str === undefined) return null;
+
+  let cleaned = String(str).replace(/[\s\u00a0\u202f]/g, '');
+
+  if (cleaned.includes('.') && cleaned.includes(',')) {
+    // 1.250.000,50
+    cleaned = cleaned.replace(/\./g, '').replace(',', '.');
+  } else if (/^\d{1,3}(\.\d{3})+$/.test(cleaned)) {
+    // 1.250.000
+    cleaned = cleaned.replace(/\./g, '');
+  } else {
+    cleaned = cleaned.replace(',', '.');
+  }
+
+  const value = parseFloat(cleaned);
+  return isNaN(value) ? null : value;
+}
+
+/**
+ * Analyser un prix d'annonce
+ * "1 250 000 € dont 5% honoraires", "850 € CC dont 50 € de charges", "1,2 M€"
+ */
+export function parsePriceDetails(str) {
+  if (!str) return null;
+  const text = String(str);
+
+  // Premier montant qui n'est pas un pourcentage
+  const amountRegex = new RegExp(`(${NUMBER})\\s*(millions?|M€?|k€?|K€?)?`, 'g');
+  let amount = null;
+  let match;
+  while ((match = amountRegex.exec(text)) !== null) {
+    const next = text.substring(match.index + match[0].length).trimStart();
+    if (next.startsWith('%')) continue;
+
+    amount = toNumber(match[1]);
+    const unit = (match[2] || '').toLowerCase();
+    if (unit.startsWith('m')) amount *= 1000000;
+    if (unit.startsWith('k')) amount *= 1000;
+    break;
+  }
+
+  if (amount === null) return null;
+
+  const details = {
+    amount: Math.round(amount * 100) / 100,
+    feesIncluded: null,
+    feesPercent: null,
+    feesAmount: null,
+    rentCharges: null,
+    chargesAmount: null,
+    period: null
+  };
+
+  // Honoraires
+  const feesPercent = new RegExp(`(${NUMBER})\\s*%\\s*(?:TTC\\s*)?(?:d'|d’)?\\s*honoraires`, 'i').exec(text);
+  if (feesPercent) details.feesPercent = toNumber(feesPercent[1]);
+
+  const feesAmount = new RegExp(`honoraires\\s*(?:TTC\\s*)?(?:de|:)?\\s*(${NUMBER})\\s*€`, 'i').exec(text);
+  if (feesAmount) details.feesAmount = toNumber(feesAmount[1]);
+
+  if (/honoraires?\s+(?:inclus|compris)|\bFAI\b|frais d'agence inclus|dont\s+[\d\s,.]+(?:%|€)?\s*(?:TTC\s*)?(?:d'|d’)?\s*honoraires/i.test(text)) {
+    details.feesIncluded = true;
+  } else if (/honoraires?\s+(?:exclus|en sus)|hors honoraires|net vendeur|charge du vendeur/i.test(text)) {
+    details.feesIncluded = false;
+  }
+
+  if (details.feesIncluded && details.feesPercent && !details.feesAmount) {
+    details.feesAmount = Math.round(details.amount - details.amount / (1 + details.feesPercent / 100));
+  }
+
+  // Loyers: charges comprises / hors charges
+  if (/\bCC\b|charges comprises/i.test(text)) {
+    details.rentCharges = 'CC';
+  } else if (/\bHC\b|hors charges/i.test(text)) {
+    details.rentCharges = 'HC';
+  }
+
+  const charges = new RegExp(`(?:dont|\\+)\\s*(${NUMBER})\\s*€?\\s*(?:de\\s+)?(?:provisions?\\s+(?:sur|pour)\\s+)?charges|charges\\s*:?\\s*(${NUMBER})\\s*€`, 'i').exec(text);
+  if (charges) details.chargesAmount = toNumber(charges[1] || charges[2]);
+
+  if (details.rentCharges || /\/\s*mois|par mois|mensuel/i.test(text)) {
+    details.period = 'month';
+  }
+
+  return details;
+}
+
+/**
+ * Extraire le montant d'un prix (null si absent)
+ */
+export function parsePrice(str) {
+  const details = parsePriceDetails(str);
+  return details ? details.amount : null;
+}
+
+/**
+ * Analyser une surface: "45,5 m²", "Surface Carrez : 42,30 m2"
+ */
+export function parseSurfaceDetails(str) {
+  if (!str) return null;
+  const text = String(str);
+
+  const withUnit = new RegExp(`(${NUMBER})\\s*(?:m²|m2|m 2|mètres?\\s+carrés?)`, 'i').exec(text);
+  const match = withUnit || new RegExp(`(${NUMBER})`).exec(text);
+  if (!match) return null;
+
+  return {
+    surface: toNumber(match[1]),
+    carrez: /carrez/i.test(text)
+  };
+}
+
+/**
+ * Extraire une surface en m²
+ */
+export function parseSurface(str) {
+  const details = parseSurfaceDetails(str);
+  return details ? details.surface : null;
+}
+
+/**
+ * Nombre de pièces: "3 pièces", "T3", "F4", "studio", "3"
+ * null pour un autre texte ("65 m²")
+ */
+export function parseRooms(str) {
+  if (!str) return null;
+  const text = String(str);
+
+  const pieces = /(\d+)\s*(?:pièces?|pieces?|p\.)/i.exec(text);
+  if (pieces) return parseInt(pieces[1], 10);
+
+  const type = /\b[TF](\d+)\b/.exec(text);
+  if (type) return parseInt(type[1], 10);
+
+  if (/\bstudio\b/i.test(text)) return 1;
+
+  const number = /^\s*(\d+)\s*$/.exec(text);
+  return number ? parseInt(number[1], 10) : null;
+}
+
+/**
+ * Nombre de chambres: "2 chambres", "2 ch."
+ */
+export function parseBedrooms(str) {
+  if (!str) return null;
+  const text = String(str);
+
+  const match = /(\d+)\s*(?:chambres?|ch\.)/i.exec(text);
+  if (match) return parseInt(match[1], 10);
+
+  if (/chambres?/i.test(text)) return null;
+  const number = /^\s*(\d+)\s*$/.exec(text);
+  return number ? parseInt(number[1], 10) : null;
+}
+
+/**
+ * Classe énergie (DPE) ou climat (GES): A à G
+ * kind = 'dpe' | 'ges' pour cibler un libellé quand les deux sont présents
+ */
+export function parseEnergyClass(str, kind = 'dpe') {
+  if (!str) return null;
+  const text = String(str);
+
+  const standalone = /^\s*([A-G])\s*$/i.exec(text);
+  if (standalone) return standalone[1].toUpperCase();
+
+  const labels = kind === 'ges'
+    ? String.raw`GES|gaz à effet de serre|classe climat|émissions?`
+    : String.raw`DPE|classe énergie|classe energie|performance énergétique|consommation énergétique`;
+
+  // Lettre majuscule isolée dans les 40 caractères qui suivent le libellé
+  const label = new RegExp(labels, 'i').exec(text);
+  if (!label) return null;
+
+  const after = text.substring(label.index + label[0].length, label.index + label[0].length + 40);
+  const match = /(?:^|[^A-Za-z])([A-G])(?![A-Za-z])/.exec(after);
+  return match ? match[1] : null;
+}
+
+/**
+ * Étage: "RDC" -> 0, "3ème étage", "1er étage", "étage 2/5"
+ */
+export function parseFloor(str) {
+  if (!str) return null;
+  const text = String(str);
+
+  if (/\bRDC\b|rez[- ]de[- ]chaussée|rez[- ]de[- ]chaussee/i.test(text)) return 0;
+
+  const ordinal = /(\d+)\s*(?:er|ère|ere|e|ème|eme|è)?\s*étage/i.exec(text);
+  if (ordinal) return parseInt(ordinal[1], 10);
+
+  const labelled = /étage\s*:?\s*(\d+)/i.exec(text);
+  if (labelled) return parseInt(labelled[1], 10);
+
+  const number = /^\s*(\d+)\s*$/.exec(text);
+  return number ? parseInt(number[1], 10) : null;
+}
+
+/**
+ * Année de construction: "Construit en 1975", "Année de construction : 1930"
+ */
+export function parseYearBuilt(str) {
+  if (!str) return null;
+  const maxYear = new Date().getFullYear() + 5;
+
+  for (const match of String(str).matchAll(/\b(1[5-9]\d{2}|20\d{2})\b/g)) {
+    const year = parseInt(match[1], 10);
+    if (year <= maxYear) return year;
+  }
+
+  return null;
+}
@@ -0,0 +1,179 @@
+// Filtres de propriétés partagés par /api/properties et les recherches sauvegardées
+// (mêmes noms de paramètres que /api/search)
+
+import { PrismaClient, Prisma } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// Schéma JSON des filtres (querystring ou corps de requête)
+export const PROPERTY_FILTERS_SCHEMA = {
+  city: { type: 'string', description: 'Filtrer par ville' },
+  postalCode: { type: 'string', description: 'Filtrer par code postal' },
+  department: { type: 'string', description: 'Filtrer par département' },
+  propertyType: {
+    type: 'string',
+    enum: ['appartement', 'maison', 'studio', 'loft', 'terrain'],
+    description: 'Type de bien'
+  },
+  transactionType: {
+    type: 'string',
+    enum: ['vente', 'location'],
+    description: 'Type de transaction'
+  },
+  minPrice: { type: 'number', description: 'Prix minimum' },
+  maxPrice: { type: 'number', description: 'Prix maximum' },
+  minSurface: { type: 'number', description: 'Surface minimum (m²)' },
+  maxSurface: { type: 'number', description: 'Surface maximum (m²)' },
+  rooms: { type: 'integer', description: 'Nombre de pièces' },
+  minRooms: { type: 'integer', description: 'Nombre minimum de pièces' },
+  maxRooms: { type: 'integer', description: 'Nombre maximum de pièces' },
+  status: {
+    type: 'string',
+    enum: ['active', 'sold', 'removed'],
+    description: 'Statut de l\'annonce'
+  },
+  priceDropped: { type: 'boolean', description: 'Uniquement les biens dont le prix a baissé' }
+};
+
+/**
+ * Garder uniquement les filtres connus (ex: pour enregistrer une recherche)
+ */
+export function pickPropertyFilters(params = {}) {
+  const filters = {};
+  for (const name of Object.keys(PROPERTY_FILTERS_SCHEMA)) {
+    if (params[name] !== undefined && params[name] !== null && params[name] !== '') {
+      filters[name] = params[name];
+    }
+  }
+  return filters;
+}
+
+/**
+ * Construire la clause where Prisma correspondant aux filtres
+ */
+export function buildPropertyWhere(filters = {}) {
+  const {
+    city, postalCode, department, propertyType, transactionType,
+    minPrice, maxPrice, minSurface, maxSurface, rooms, minRooms, maxRooms,
+    status, priceDropped
+  } = filters;
+
+  const where = {};
+
+  if (city) where.city = { contains: city };
+  if (postalCode) where.postalCode = postalCode;
+  if (department) where.department = department;
+  if (propertyType) where.propertyType = propertyType;
+  if (transactionType) where.transactionType = transactionType;
+  if (status) where.status = status;
+
+  if (rooms) {
+    where.rooms = rooms;
+  } else if (minRooms || maxRooms) {
+    where.rooms = {};
+    if (minRooms) where.rooms.gte = minRooms;
+    if (maxRooms) where.rooms.lte = maxRooms;
+  }
+
+  if (minPrice || maxPrice) {
+    where.price = {};
+    if (minPrice) where.price.gte = minPrice;
+    if (maxPrice) where.price.lte = maxPrice;
+  }
+
+  if (minSurface || maxSurface) {
+    where.surface = {};
+    if (minSurface) where.surface.gte = minSurface;
+    if (maxSurface) where.surface.lte = maxSurface;
+  }
+
+  // Baisse de prix: prix précédent supérieur au prix actuel
+  if (priceDropped) {
+    where.previousPrice = { gt: prisma.property.fields.price };
+  }
+
+  return where;
+}
+
+/**
+ * Même filtre que buildPropertyWhere, en SQL (requêtes agrégées sans équivalent Prisma)
+ * A garder aligné avec buildPropertyWhere
+ */
+export function buildPropertySqlWhere(filters = {}) {
+  const {
+    city, postalCode, department, propertyType, transactionType,
+    minPrice, maxPrice, minSurface, maxSurface, rooms, minRooms, maxRooms,
+    status, priceDropped
+  } = filters;
+
+  const conditions = [];
+
+  if (city) {
+    const pattern = `%${city.replace(/[\\%_]/g, '\\$&')}%`;
+    conditions.push(Prisma.sql`"city" LIKE ${pattern} ESCAPE '\\'`);
+  }
+  if (postalCode) conditions.push(Prisma.sql`"postalCode" = ${postalCode}`);
+  if (department) conditions.push(Prisma.sql`"department" = ${department}`);
+  if (propertyType) conditions.push(Prisma.sql`"propertyType" = ${propertyType}`);
+  if (transactionType) conditions.push(Prisma.sql`"transactionType" = ${transactionType}`);
+  if (status) conditions.push(Prisma.sql`"status" = ${status}`);
+
+  if (rooms) {
+    conditions.push(Prisma.sql`"rooms" = ${rooms}`);
+  } else {
+    if (minRooms) conditions.push(Prisma.sql`"rooms" >= ${minRooms}`);
+    if (maxRooms) conditions.push(Prisma.sql`"rooms" <= ${maxRooms}`);
+  }
+
+  if (minPrice) conditions.push(Prisma.sql`"price" >= ${minPrice}`);
+  if (maxPrice) conditions.push(Prisma.sql`"price" <= ${maxPrice}`);
+  if (minSurface) conditions.push(Prisma.sql`"surface" >= ${minSurface}`);
+  if (maxSurface) conditions.push(Prisma.sql`"surface" <= ${maxSurface}`);
+
+  if (priceDropped) conditions.push(Prisma.sql`"previousPrice" > "price"`);
+
+  return conditions.length
+    ? Prisma.sql`WHERE ${Prisma.join(conditions, ' AND ')}`
+    : Prisma.empty;
+}
+
+/**
+ * Nombre de biens distincts (groupes de doublons) correspondant aux filtres
+ * Une propriété sans groupe compte pour elle-même
+ */
+export async function countPropertyGroups(filters = {}) {
+  const [row] = await prisma.$queryRaw`
+    SELECT COUNT(DISTINCT COALESCE("groupId", "id")) AS "total"
+    FROM "Property"
+    ${buildPropertySqlWhere(filters)}
+  `;
+  return Number(row.total);
+}
+
+// Colonnes de tri autorisées pour la pagination par groupe (insérées telles quelles dans le SQL)
+const GROUP_SORT_COLUMNS = ['price', 'surface', 'createdAt', 'pricePerSqm', 'scrapedAt'];
+
+/**
+ * Identifiants d'une page de biens distincts: le premier membre de chaque groupe dans l'ordre de tri
+ * Pagination faite en base (ROW_NUMBER par groupe), sans charger l'ensemble filtré
+ */
+export async function findPropertyGroupPage(filters = {}, { sortBy = 'scrapedAt', sortOrder = 'desc', skip = 0, take = 20 } = {}) {
+  if (!GROUP_SORT_COLUMNS.includes(sortBy)) {
+    throw new Error(`Tri inconnu: ${sortBy}`);
+  }
+  const column = Prisma.raw(`"${sortBy}"`);
+  const direction = Prisma.raw(sortOrder === 'asc' ? 'ASC' : 'DESC');
+
+  const rows = await prisma.$queryRaw`
+    SELECT "id" FROM (
+      SELECT "id", ${column} AS "sortValue",
+        ROW_NUMBER() OVER (PARTITION BY COALESCE("groupId", "id") ORDER BY ${column} ${direction}, "id") AS "rn"
+      FROM "Property"
+      ${buildPropertySqlWhere(filters)}
+    ) AS "ranked"
+    WHERE "rn" = 1
+    ORDER BY "sortValue" ${direction}, "id"
+    LIMIT ${take} OFFSET ${skip}
+  `;
+  return rows.map(row => row.id);
+}
@@ -0,0 +1,181 @@
+// Écriture des propriétés en base avec suivi de l'historique
+// Chaque changement de prix, surface ou statut ajoute un PropertySnapshot
+
+import { PrismaClient } from '@prisma/client';
+import { generateId } from '../utils/helpers.js';
+
+const prisma = new PrismaClient();
+
+// Champs suivis dans l'historique
+const TRACKED_FIELDS = ['price', 'surface', 'status'];
+const BATCH_SIZE = 100;
+
+/**
+ * Variation de prix entre deux valeurs (en %, arrondie à 0,1)
+ */
+export function priceChangePct(previous, current) {
+  if (!previous || current === null || current === undefined) return null;
+  return Math.round(((current - previous) / previous) * 1000) / 10;
+}
+
+/**
+ * Ajouter les indicateurs de prix à une propriété lue en base
+ */
+export function withPriceFlags(property) {
+  const pct = priceChangePct(property.previousPrice, property.price);
+  return {
+    ...property,
+    priceDropped: pct !== null && pct < 0,
+    priceChangePct: pct
+  };
+}
+
+/**
+ * Service d'écriture des propriétés
+ */
+export class PropertyStore {
+  /**
+   * Créer ou mettre à jour une propriété sur son externalId
+   * Retourne { created, changes }
+   */
+  async save(prop, client = prisma) {
+    const { id, ...data } = prop;
+
+    const existing = await client.property.findUnique({
+      where: { externalId: prop.externalId },
+      select: { id: true, price: true, surface: true, status: true }
+    });
+
+    if (!existing) {
+      // Groupe de doublons provisoire, recalculé par duplicateDetector
+      const created = await client.property.create({
+        data: { ...(id && { id }), groupId: generateId('grp'), ...data }
+      });
+
+      await client.propertySnapshot.create({
+        data: {
+          propertyId: created.id,
+          price: created.price,
+          surface: created.surface,
+          status: created.status,
+          changes: JSON.stringify(TRACKED_FIELDS)
+        }
+      });
+
+      return { created: true, changes: TRACKED_FIELDS };
+    }
+
+    const changes = TRACKED_FIELDS.filter(field =>
+      data[field] !== undefined && (data[field] ?? null) !== (existing[field] ?? null)
+    );
+
+    const update = { ...data, updatedAt: new Date() };
+    if (changes.includes('price')) {
+      update.previousPrice = existing.price;
+      update.priceChangedAt = new Date();
+    }
+
+    const updated = await client.property.update({
+      where: { id: existing.id },
+      data: update
+    });
+
+    if (changes.length > 0) {
+      await client.propertySnapshot.create({
+        data: {
+          propertyId: existing.id,
+          price: updated.price,
+          surface: updated.surface,
+          status: updated.status,
+          changes: JSON.stringify(changes)
+        }
+      });
+    }
+
+    return { created: false, changes };
+  }
+
+  /**
+   * Sauvegarder une liste de propriétés, par lots transactionnels
+   */
+  async saveMany(properties) {
+    let saved = 0;
+    let errors = 0;
+    let changed = 0;
+
+    const count = result => {
+      saved++;
+      if (!result.created && result.changes.length > 0) changed++;
+    };
+
+    for (let i = 0; i < properties.length; i += BATCH_SIZE) {
+      const batch = properties.slice(i, i + BATCH_SIZE);
+
+      try {
+        const results = await prisma.$transaction(async tx => {
+          const batchResults = [];
+          for (const prop of batch) {
+            batchResults.push(await this.save(prop, tx));
+          }
+          return batchResults;
+        });
+        results.forEach(count);
+      } catch (error) {
+        // Rejouer ligne par ligne pour isoler les lignes en erreur
+        for (const prop of batch) {
+          try {
+            count(await this.save(prop));
+          } catch (err) {
+            errors++;
+          }
+        }
+      }
+    }
+
+    return { saved, errors, changed };
+  }
+
+  /**
+   * Historique d'une propriété (par id ou externalId)
+   */
+  async getHistory(propertyId) {
+    const property = await prisma.property.findFirst({
+      where: {
+        OR: [
+          { id: propertyId },
+          { externalId: propertyId }
+        ]
+      },
+      select: { id: true, externalId: true, source: true, title: true, price: true, previousPrice: true, status: true }
+    });
+
+    if (!property) return null;
+
+    const snapshots = await prisma.propertySnapshot.findMany({
+      where: { propertyId: property.id },
+      orderBy: { recordedAt: 'asc' }
+    });
+
+    let lastPrice = null;
+    const timeline = snapshots.map(snapshot => {
+      const entry = {
+        recordedAt: snapshot.recordedAt,
+        price: snapshot.price,
+        surface: snapshot.surface,
+        status: snapshot.status,
+        changes: JSON.parse(snapshot.changes),
+        priceChangePct: priceChangePct(lastPrice, snapshot.price)
+      };
+      lastPrice = snapshot.price;
+      return entry;
+    });
+
+    return {
+      property: withPriceFlags(property),
+      timeline
+    };
+  }
+}
+
+// Instance singleton
+export const propertyStore = new PropertyStore();
@@ -0,0 +1,236 @@
+// Comptage des quotas mensuels par abonnement
+// Vérification et incrément se font en une seule requête conditionnelle:
+// deux requêtes simultanées ne peuvent pas dépasser la limite
+
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+export const PERIOD_MONTHS = 1;
+
+// Coût des requêtes par type de route (à placer dans `config` de la route)
+// Les routes sans config coûtent 1 requête, catégorie "standard".
+// `config.costByFormat` remplace le coût selon ?format= (ex: { csv: REQUEST_COSTS.export })
+export const REQUEST_COSTS = {
+  standard: { cost: 1, category: 'standard' },
+  search: { cost: 5, category: 'search' },
+  geoSearch: { cost: 3, category: 'geo' },
+  marketStats: { cost: 2, category: 'stats' },
+  export: { cost: 10, category: 'export' }
+};
+
+/**
+ * Coût et catégorie de la route appelée
+ */
+export function getRequestCost(request) {
+  const routeConfig = request.routeOptions?.config || {};
+  const config = routeConfig.costByFormat?.[request.query?.format] || routeConfig;
+  return {
+    cost: Number.isInteger(config.cost) && config.cost >= 0 ? config.cost : REQUEST_COSTS.standard.cost,
+    category: config.category || REQUEST_COSTS.standard.category
+  };
+}
+
+/**
+ * Ajouter des mois à une date
+ */
+export function addMonths(date, months) {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+}
+
+/**
+ * Service des quotas
+ */
+export class QuotaService {
+  /**
+   * Période de facturation contenant `now`, à partir de la fin de la précédente
+   */
+  nextPeriod(periodEnd, now = new Date()) {
+    let periodStart = new Date(periodEnd);
+    let nextEnd = addMonths(periodStart, PERIOD_MONTHS);
+
+    while (nextEnd <= now) {
+      periodStart = nextEnd;
+      nextEnd = addMonths(periodStart, PERIOD_MONTHS);
+    }
+
+    return { periodStart, periodEnd: nextEnd };
+  }
+
+  /**
+   * Renouveler la période d'un abonnement actif arrivé à échéance
+   * Applique la résiliation ou la baisse de plan programmée pour la fin de période
+   * Une seule instance effectue le renouvellement (condition sur periodEnd)
+   */
+  async renew(subscription, now = new Date()) {
+    const where = { id: subscription.id, periodEnd: subscription.periodEnd };
+
+    if (subscription.cancelAtPeriodEnd) {
+      await prisma.subscription.updateMany({
+        where,
+        data: { status: 'canceled', cancelAtPeriodEnd: false, pendingPlanId: null }
+      });
+      return;
+    }
+
+    const { periodStart, periodEnd } = this.nextPeriod(subscription.periodEnd, now);
+
+    await prisma.subscription.updateMany({
+      where,
+      data: {
+        periodStart,
+        periodEnd,
+        requestsUsed: 0,
+        ...(subscription.pendingPlanId && { planId: subscription.pendingPlanId, pendingPlanId: null })
+      }
+    });
+  }
+
+  /**
+   * Abonnement d'un utilisateur, créé sur le plan gratuit s'il n'en a pas
+   */
+  async getOrCreateSubscription(userId) {
+    const existing = await prisma.subscription.findUnique({
+      where: { userId },
+      include: { plan: true }
+    });
+    if (existing) return existing;
+
+    const freePlan = await prisma.plan.findUnique({ where: { name: 'free' } });
+    if (!freePlan) return null;
+
+    const now = new Date();
+    return prisma.subscription.upsert({
+      where: { userId },
+      update: {},
+      create: {
+        userId,
+        planId: freePlan.id,
+        periodStart: now,
+        periodEnd: addMonths(now, PERIOD_MONTHS)
+      },
+      include: { plan: true }
+    });
+  }
+
+  /**
+   * Formater l'état du quota
+   */
+  toState(subscription, allowed, code = null) {
+    const limit = subscription.plan.requestsLimit;
+    return {
+      allowed,
+      code,
+      planId: subscription.planId,
+      status: subscription.status,
+      limit,
+      used: subscription.requestsUsed,
+      remaining: Math.max(0, limit - subscription.requestsUsed),
+      resetAt: subscription.periodEnd
+    };
+  }
+
+  /**
+   * Consommer `cost` requêtes sur l'abonnement
+   * Retourne { allowed, code, planId, status, limit, used, remaining, resetAt }
+   * code: QUOTA_EXCEEDED, SUBSCRIPTION_EXPIRED ou SUBSCRIPTION_PAST_DUE quand allowed = false
+   * Seul un abonnement actif consomme: résilié ou impayé, aucune requête n'est accordée
+   */
+  async consume(subscriptionId, limit, cost = 1) {
+    let currentLimit = limit;
+
+    // Nouvelles tentatives après renouvellement de période ou changement de plan
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const now = new Date();
+
+      try {
+        const updated = await prisma.subscription.update({
+          where: {
+            id: subscriptionId,
+            status: 'active',
+            periodEnd: { gt: now },
+            requestsUsed: { lte: currentLimit - cost }
+          },
+          data: { requestsUsed: { increment: cost } },
+          include: { plan: true }
+        });
+
+        return this.toState(updated, true);
+      } catch (error) {
+        // P2025: condition non remplie, on regarde pourquoi
+        if (error.code !== 'P2025') throw error;
+      }
+
+      const current = await prisma.subscription.findUnique({
+        where: { id: subscriptionId },
+        include: { plan: true }
+      });
+
+      // Impayé (invoice.payment_failed): bloqué jusqu'à la régularisation (invoice.paid)
+      if (current.status === 'past_due') {
+        return this.toState(current, false, 'SUBSCRIPTION_PAST_DUE');
+      }
+      // Résilié (fin de période ou customer.subscription.deleted): plus rien jusqu'à réactivation
+      if (current.status !== 'active') {
+        return this.toState(current, false, 'SUBSCRIPTION_EXPIRED');
+      }
+
+      if (current.periodEnd <= now) {
+        await this.renew(current, now);
+        currentLimit = current.plan.requestsLimit;
+        continue;
+      }
+
+      if (current.requestsUsed + cost > current.plan.requestsLimit) {
+        return this.toState(current, false, 'QUOTA_EXCEEDED');
+      }
+
+      // La limite connue de l'appelant était périmée
+      currentLimit = current.plan.requestsLimit;
+    }
+
+    const current = await prisma.subscription.findUnique({
+      where: { id: subscriptionId },
+      include: { plan: true }
+    });
+    return this.toState(current, false, 'QUOTA_EXCEEDED');
+  }
+
+  /**
+   * Rendre `cost` requêtes consommées par une requête finalement refusée
+   */
+  async refund(subscriptionId, cost) {
+    if (!subscriptionId || !cost) return;
+
+    await prisma.subscription.updateMany({
+      where: { id: subscriptionId, requestsUsed: { gte: cost } },
+      data: { requestsUsed: { decrement: cost } }
+    });
+  }
+}
+
+/**
+ * Headers X-Quota-* sur la réponse
+ */
+export function setQuotaHeaders(reply, quota) {
+  reply.header('X-Quota-Limit', quota.limit);
+  reply.header('X-Quota-Remaining', quota.remaining);
+  reply.header('X-Quota-Reset', Math.floor(new Date(quota.resetAt).getTime() / 1000));
+}
+
+// Instance singleton
+export const quotaService = new QuotaService();
+
+/**
+ * Rendre le quota consommé par authenticate quand un preHandler refuse ensuite la requête
+ */
+export async function refundRequest(request) {
+  if (request.quotaCharged) {
+    await quotaService.refund(request.subscriptionId, request.quotaCharged)
+      .catch(error => request.log.error(error));
+    request.quotaCharged = 0;
+  }
+  if (request.usageCost) request.usageCost.cost = 0;
+}
@@ -0,0 +1,92 @@
+// Store partagé pour @fastify/rate-limit
+// Fonctionne avec tout client exposant incr / pexpire / pttl (promesses),
+// comme ioredis, ou avec le client mémoire ci-dessous (une seule instance)
+
+/**
+ * Client mémoire compatible avec le sous-ensemble Redis utilisé
+ */
+export function createMemoryClient() {
+  const entries = new Map(); // key -> { value, expiresAt }
+
+  const alive = key => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  // Purger les compteurs expirés
+  const cleanup = setInterval(() => {
+    for (const key of entries.keys()) alive(key);
+  }, 60000);
+  cleanup.unref();
+
+  return {
+    async incr(key) {
+      const entry = alive(key) || { value: 0, expiresAt: null };
+      entry.value++;
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    async pexpire(key, ms) {
+      const entry = alive(key);
+      if (!entry) return 0;
+      entry.expiresAt = Date.now() + ms;
+      return 1;
+    },
+
+    // Comme Redis: -2 si la clé n'existe pas, -1 si elle n'expire pas
+    async pttl(key) {
+      const entry = alive(key);
+      if (!entry) return -2;
+      if (entry.expiresAt === null) return -1;
+      return entry.expiresAt - Date.now();
+    }
+  };
+}
+
+/**
+ * Construire la classe de store attendue par l'option `store` du plugin
+ * (instanciée par le plugin, d'où la fabrique)
+ */
+export function createRateLimitStore(client, prefix = 'ratelimit:') {
+  class SharedRateLimitStore {
+    constructor(options = {}, keyPrefix = prefix) {
+      this.options = options;
+      this.keyPrefix = keyPrefix;
+    }
+
+    /**
+     * Incrémenter le compteur d'une clé sur la fenêtre courante
+     */
+    incr(key, callback, timeWindow) {
+      const redisKey = this.keyPrefix + key;
+
+      (async () => {
+        const current = await client.incr(redisKey);
+        let ttl = current === 1 ? -1 : await client.pttl(redisKey);
+
+        // Nouvelle fenêtre, ou compteur resté sans expiration (crash entre incr et pexpire)
+        if (ttl < 0) {
+          await client.pexpire(redisKey, timeWindow);
+          ttl = timeWindow;
+        }
+
+        return { current, ttl };
+      })().then(result => callback(null, result), error => callback(error, null));
+    }
+
+    /**
+     * Store dédié à une route ayant sa propre configuration
+     */
+    child(routeOptions) {
+      const { method, url } = routeOptions.routeInfo;
+      return new SharedRateLimitStore(routeOptions, `${this.keyPrefix}${method}${url}:`);
+    }
+  }
+
+  return SharedRateLimitStore;
+}
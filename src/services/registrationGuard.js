@@ -0,0 +1,384 @@
+// Protection des inscriptions contre les abus
+// Refuse les domaines jetables et les sources bloquées, limite les inscriptions par IP et par sous-réseau,
+// et normalise les emails (sans +tag, points Gmail ignorés) pour détecter les comptes en double.
+// Les admins peuvent bannir les comptes d'une même source (voir /api/admin/signups)
+
+import fs from 'fs';
+import net from 'net';
+import { PrismaClient } from '@prisma/client';
+import { createIpAllowlist, isIpAllowed } from './apiKeys.js';
+
+const prisma = new PrismaClient();
+
+// Domaines jetables connus, complétés par DISPOSABLE_DOMAINS_FILE et DISPOSABLE_DOMAINS
+const DEFAULT_DISPOSABLE_DOMAINS = [
+  '10minutemail.com',
+  'discard.email',
+  'dispostable.com',
+  'fakeinbox.com',
+  'getnada.com',
+  'guerrillamail.com',
+  'maildrop.cc',
+  'mailinator.com',
+  'mailnesia.com',
+  'mintemail.com',
+  'mohmal.com',
+  'sharklasers.com',
+  'spamgourmet.com',
+  'temp-mail.org',
+  'tempmail.com',
+  'throwawaymail.com',
+  'trashmail.com',
+  'yopmail.com',
+  'yopmail.fr'
+];
+
+// Domaines où les points de la partie locale sont ignorés
+const DOTLESS_DOMAINS = ['gmail.com'];
+
+// Alias de domaines
+const DOMAIN_ALIASES = { 'googlemail.com': 'gmail.com' };
+
+// Sources bloquées mises en cache
+const BLOCKS_CACHE_TTL = 60 * 1000;
+
+/**
+ * Email normalisé pour la détection des doublons
+ * "Jean.Dupont+test@googlemail.com" -> "jeandupont@gmail.com"
+ */
+export function canonicalizeEmail(email) {
+  const normalized = email.toLowerCase().trim();
+  const at = normalized.lastIndexOf('@');
+  let local = normalized.substring(0, at);
+  let domain = normalized.substring(at + 1);
+
+  domain = DOMAIN_ALIASES[domain] || domain;
+  local = local.split('+')[0];
+  if (DOTLESS_DOMAINS.includes(domain)) local = local.replace(/\./g, '');
+
+  return `${local}@${domain}`;
+}
+
+/**
+ * Développer une adresse IPv6 en 8 groupes
+ */
+function expandIpv6(ip) {
+  const [head, tail] = ip.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const zeros = tail !== undefined ? Array(8 - headGroups.length - tailGroups.length).fill('0') : [];
+
+  return [...headGroups, ...zeros, ...tailGroups].map(group => group.toLowerCase().replace(/^0+(?=.)/, ''));
+}
+
+/**
+ * Adresse et sous-réseau d'une IP (/24 en IPv4, /64 en IPv6)
+ * Les IPv4 mappées en IPv6 sont ramenées en IPv4
+ */
+export function getSignupSource(ip) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip || '');
+  const address = mapped ? mapped[1] : ip;
+  const version = net.isIP(address || '');
+
+  if (version === 4) {
+    const parts = address.split('.');
+    return { ip: address, subnet: `${parts.slice(0, 3).join('.')}.0/24` };
+  }
+
+  if (version === 6) {
+    const groups = expandIpv6(address);
+    return { ip: address, subnet: `${groups.slice(0, 4).join(':')}::/64` };
+  }
+
+  return { ip: null, subnet: null };
+}
+
+/**
+ * Forme canonique d'un sous-réseau d'inscription (celle de getSignupSource, null si autre préfixe)
+ * Les comptes sont retrouvés par égalité sur signupSubnet: seule cette forme les désigne
+ */
+export function toCanonicalSubnet(subnet) {
+  const [address, prefix, ...rest] = String(subnet || '').split('/');
+  if (rest.length > 0) return null;
+
+  const canonical = getSignupSource(address).subnet;
+  return canonical && canonical.endsWith(`/${prefix}`) ? canonical : null;
+}
+
+/**
+ * Condition Prisma des comptes d'une source (IP exacte ou sous-réseau canonique)
+ */
+function getSourceWhere({ ip, subnet }) {
+  if (ip) return { signupIp: ip };
+  if (toCanonicalSubnet(subnet) !== subnet) {
+    throw new Error(`Sous-réseau non canonique: ${subnet}`);
+  }
+  return { signupSubnet: subnet };
+}
+
+/**
+ * Garde des inscriptions
+ * check() retourne { status, error, message } en cas de refus
+ */
+export class RegistrationGuard {
+  constructor() {
+    this.disposableDomains = null;
+    this.blocksCache = null;
+  }
+
+  get windowHours() {
+    return parseInt(process.env.REGISTRATION_WINDOW_HOURS) || 24;
+  }
+
+  get maxPerIp() {
+    return parseInt(process.env.REGISTRATION_MAX_PER_IP) || 3;
+  }
+
+  get maxPerSubnet() {
+    return parseInt(process.env.REGISTRATION_MAX_PER_SUBNET) || 10;
+  }
+
+  /**
+   * Charger la liste des domaines jetables (liste par défaut, fichier et variable d'environnement)
+   */
+  loadDisposableDomains() {
+    const domains = new Set(DEFAULT_DISPOSABLE_DOMAINS);
+
+    const file = process.env.DISPOSABLE_DOMAINS_FILE;
+    if (file) {
+      // Un domaine par ligne, lignes vides et commentaires (#) ignorés
+      fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .map(line => line.split('#')[0].trim().toLowerCase())
+        .filter(Boolean)
+        .forEach(domain => domains.add(domain));
+    }
+
+    (process.env.DISPOSABLE_DOMAINS || '')
+      .split(',')
+      .map(domain => domain.trim().toLowerCase())
+      .filter(Boolean)
+      .forEach(domain => domains.add(domain));
+
+    this.disposableDomains = domains;
+    return domains;
+  }
+
+  /**
+   * Domaine jetable (sous-domaines compris)
+   */
+  isDisposable(email) {
+    const domains = this.disposableDomains || this.loadDisposableDomains();
+    const parts = email.toLowerCase().trim().split('@').pop().split('.');
+
+    for (let i = 0; i < parts.length - 1; i++) {
+      if (domains.has(parts.slice(i).join('.'))) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Sources bloquées (IP ou plages CIDR), en cache une minute
+   */
+  async getBlocklist() {
+    if (!this.blocksCache || Date.now() - this.blocksCache.timestamp > BLOCKS_CACHE_TTL) {
+      const blocks = await prisma.signupBlock.findMany({ select: { source: true } });
+      // Même structure que les IP autorisées des clés API (net.BlockList)
+      this.blocksCache = {
+        ranges: createIpAllowlist(JSON.stringify(blocks.map(block => block.source))),
+        timestamp: Date.now()
+      };
+    }
+    return this.blocksCache.ranges;
+  }
+
+  /**
+   * Vider le cache des sources bloquées (après un ajout ou une suppression)
+   */
+  invalidateBlocks() {
+    this.blocksCache = null;
+  }
+
+  /**
+   * Vérifier une inscription
+   * Retourne { canonicalEmail, ip, subnet } si elle est acceptée
+   */
+  async check(email, requestIp) {
+    if (this.isDisposable(email)) {
+      return {
+        status: 400,
+        error: 'DISPOSABLE_EMAIL',
+        message: 'Les adresses email jetables ne sont pas acceptées.'
+      };
+    }
+
+    const source = getSignupSource(requestIp);
+
+    const blocked = await this.getBlocklist();
+    if (blocked && source.ip && isIpAllowed(blocked, source.ip)) {
+      return {
+        status: 403,
+        error: 'REGISTRATION_BLOCKED',
+        message: 'Les inscriptions depuis cette adresse sont bloquées.'
+      };
+    }
+
+    const since = new Date(Date.now() - this.windowHours * 60 * 60 * 1000);
+    const [ipCount, subnetCount] = await Promise.all([
+      source.ip ? prisma.user.count({ where: { signupIp: source.ip, createdAt: { gte: since } } }) : 0,
+      source.subnet ? prisma.user.count({ where: { signupSubnet: source.subnet, createdAt: { gte: since } } }) : 0
+    ]);
+
+    if (ipCount >= this.maxPerIp || subnetCount >= this.maxPerSubnet) {
+      return {
+        status: 429,
+        error: 'REGISTRATION_LIMIT',
+        message: `Trop d'inscriptions depuis votre réseau. Réessayez dans ${this.windowHours} heures.`
+      };
+    }
+
+    return { canonicalEmail: canonicalizeEmail(email), ...source };
+  }
+
+  /**
+   * Sous-réseaux ayant créé au moins `minAccounts` comptes sur les `hours` dernières heures
+   */
+  async listSources({ hours = 24, minAccounts = 2, limit = 50 } = {}) {
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+
+    const [groups, blocks] = await Promise.all([
+      prisma.user.groupBy({
+        by: ['signupSubnet'],
+        where: { signupSubnet: { not: null }, createdAt: { gte: since } },
+        _count: { _all: true },
+        _min: { createdAt: true },
+        _max: { createdAt: true },
+        having: { signupSubnet: { _count: { gte: minAccounts } } },
+        orderBy: { _count: { signupSubnet: 'desc' } },
+        take: limit
+      }),
+      prisma.signupBlock.findMany({ select: { source: true } })
+    ]);
+
+    const blockedSources = new Set(blocks.map(block => block.source));
+
+    return groups.map(group => ({
+      subnet: group.signupSubnet,
+      accounts: group._count._all,
+      firstAt: group._min.createdAt,
+      lastAt: group._max.createdAt,
+      blocked: blockedSources.has(group.signupSubnet)
+    }));
+  }
+
+  /**
+   * Comptes créés depuis une IP ou un sous-réseau
+   */
+  async listAccounts({ ip, subnet }, { page = 1, limit = 50 } = {}) {
+    const where = getSourceWhere({ ip, subnet });
+
+    const [users, total] = await Promise.all([
+      prisma.user.findMany({
+        where,
+        select: {
+          id: true,
+          email: true,
+          canonicalEmail: true,
+          role: true,
+          signupIp: true,
+          signupSubnet: true,
+          emailVerifiedAt: true,
+          bannedAt: true,
+          banReason: true,
+          createdAt: true,
+          _count: { select: { apiKeys: true } }
+        },
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.user.count({ where })
+    ]);
+
+    return {
+      users,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Bannir les comptes d'une source (clés désactivées) et, par défaut, bloquer la source
+   * Les admins ne sont jamais bannis par source
+   * Retourne { userIds, keyHashes, block }
+   */
+  async ban({ ip, subnet }, { reason = null, blockSource = true, actorId = null } = {}) {
+    const users = await prisma.user.findMany({
+      where: {
+        ...getSourceWhere({ ip, subnet }),
+        bannedAt: null,
+        role: { not: 'admin' }
+      },
+      select: { id: true }
+    });
+    const userIds = users.map(user => user.id);
+
+    const keys = await prisma.apiKey.findMany({
+      where: { userId: { in: userIds }, isActive: true },
+      select: { keyHash: true }
+    });
+
+    await prisma.$transaction([
+      prisma.user.updateMany({
+        where: { id: { in: userIds } },
+        data: { bannedAt: new Date(), banReason: reason }
+      }),
+      prisma.apiKey.updateMany({
+        where: { userId: { in: userIds }, isActive: true },
+        data: { isActive: false }
+      })
+    ]);
+
+    let block = null;
+    if (blockSource) {
+      const source = ip || subnet;
+      block = await prisma.signupBlock.upsert({
+        where: { source },
+        update: { reason },
+        create: { source, reason, createdById: actorId }
+      });
+      this.invalidateBlocks();
+    }
+
+    return { userIds, keyHashes: keys.map(key => key.keyHash), block };
+  }
+
+  /**
+   * Sources bloquées
+   */
+  async listBlocks() {
+    return prisma.signupBlock.findMany({ orderBy: { createdAt: 'desc' } });
+  }
+
+  /**
+   * Débloquer une source (les comptes déjà bannis le restent)
+   * Retourne null si le blocage n'existe pas
+   */
+  async removeBlock(id) {
+    try {
+      const block = await prisma.signupBlock.delete({ where: { id } });
+      this.invalidateBlocks();
+      return block;
+    } catch (error) {
+      if (error.code === 'P2025') return null;
+      throw error;
+    }
+  }
+}
+
+// Instance singleton
+export const registrationGuard = new RegistrationGuard();
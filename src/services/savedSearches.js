@@ -0,0 +1,163 @@
+// Évaluation des recherches sauvegardées
+// Après chaque scraping, les propriétés apparues depuis le dernier passage
+// sont envoyées au webhook de la recherche (évènement "search.matches")
+// si le plan actuel du propriétaire inclut toujours les webhooks (baisse, résiliation)
+
+import { PrismaClient } from '@prisma/client';
+import { buildPropertyWhere } from './propertyFilters.js';
+import { webhookService } from './webhooks.js';
+import { hasFeature } from '../middleware/features.js';
+
+const prisma = new PrismaClient();
+
+const MAX_MATCHES_PER_DELIVERY = 100;
+
+// Abonnement du propriétaire, pour vérifier son plan au moment de l'envoi
+const OWNER_INCLUDE = {
+  user: { select: { subscription: { include: { plan: true, pendingPlan: true } } } }
+};
+
+/**
+ * Plan en vigueur d'un abonnement à une date (null si résilié, impayé ou échu)
+ * Même règle que les quotas: seul un abonnement actif donne accès à son plan
+ * Période échue pas encore renouvelée: la baisse ou la résiliation programmée s'applique
+ */
+export function getEffectivePlan(subscription, now = new Date()) {
+  if (!subscription || subscription.status !== 'active') return null;
+  if (subscription.periodEnd > now) return subscription.plan;
+  if (subscription.cancelAtPeriodEnd) return null;
+  return subscription.pendingPlan || subscription.plan;
+}
+
+/**
+ * Service des recherches sauvegardées
+ */
+export class SavedSearchService {
+  constructor() {
+    this.isRunning = false;
+    this.lastRun = null;
+    this.lastResult = null;
+  }
+
+  /**
+   * Nouvelles propriétés d'une recherche depuis une date
+   */
+  async findMatches(savedSearch, since, until) {
+    const where = {
+      ...buildPropertyWhere(JSON.parse(savedSearch.filters)),
+      createdAt: { gt: since, lte: until }
+    };
+
+    const [count, properties] = await Promise.all([
+      prisma.property.count({ where }),
+      prisma.property.findMany({
+        where,
+        orderBy: { createdAt: 'asc' },
+        take: MAX_MATCHES_PER_DELIVERY,
+        select: {
+          id: true,
+          externalId: true,
+          source: true,
+          title: true,
+          price: true,
+          surface: true,
+          rooms: true,
+          propertyType: true,
+          transactionType: true,
+          city: true,
+          postalCode: true,
+          url: true,
+          groupId: true,
+          createdAt: true
+        }
+      })
+    ]);
+
+    return { count, properties };
+  }
+
+  /**
+   * Webhook de la recherche, si actif et inclus dans le plan actuel du propriétaire
+   * savedSearch doit inclure webhook et user.subscription (voir OWNER_INCLUDE)
+   */
+  getDeliverableWebhook(savedSearch, now = new Date()) {
+    const { webhook } = savedSearch;
+    if (!webhook || !webhook.isActive) return null;
+
+    const plan = getEffectivePlan(savedSearch.user?.subscription, now);
+    return hasFeature(plan, 'webhooks') ? webhook : null;
+  }
+
+  /**
+   * Évaluer une recherche et notifier son webhook
+   * Hors plan, les annonces sont comptées sans envoi (pas de rattrapage après une hausse)
+   */
+  async evaluate(savedSearch, checkedAt = new Date()) {
+    const since = savedSearch.lastCheckedAt || savedSearch.createdAt;
+    const { count, properties } = await this.findMatches(savedSearch, since, checkedAt);
+
+    const webhook = this.getDeliverableWebhook(savedSearch, checkedAt);
+    let delivery = null;
+    if (count > 0 && webhook) {
+      delivery = await webhookService.deliver(webhook, 'search.matches', {
+        savedSearch: { id: savedSearch.id, name: savedSearch.name },
+        count,
+        truncated: count > properties.length,
+        properties
+      });
+    }
+
+    await prisma.savedSearch.update({
+      where: { id: savedSearch.id },
+      data: { lastCheckedAt: checkedAt, lastMatchCount: count }
+    });
+
+    return { count, delivery };
+  }
+
+  /**
+   * Évaluer toutes les recherches actives
+   */
+  async evaluateAll() {
+    if (this.isRunning) {
+      console.log('⚠️ Évaluation des recherches déjà en cours, ignorée.');
+      return null;
+    }
+
+    this.isRunning = true;
+    const checkedAt = new Date();
+    const result = { searches: 0, matches: 0, deliveries: 0, failed: 0 };
+
+    try {
+      const searches = await prisma.savedSearch.findMany({
+        where: { isActive: true },
+        include: { webhook: true, ...OWNER_INCLUDE }
+      });
+
+      for (const savedSearch of searches) {
+        try {
+          const { count, delivery } = await this.evaluate(savedSearch, checkedAt);
+          result.searches++;
+          result.matches += count;
+          if (delivery) {
+            result.deliveries++;
+            if (delivery.status === 'failed') result.failed++;
+          }
+        } catch (error) {
+          console.error(`❌ Recherche ${savedSearch.id}:`, error.message);
+        }
+      }
+
+      console.log(`🔔 Recherches sauvegardées: ${result.searches} évaluées, ${result.matches} nouvelles annonces, ${result.deliveries} webhooks (${result.failed} en échec)`);
+
+      this.lastRun = checkedAt;
+      this.lastResult = result;
+      return result;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+}
+
+// Instance singleton
+export const savedSearchService = new SavedSearchService();
@@ -1,6 +1,12 @@
 // Scheduler - Tâches planifiées pour le scraping automatique
 import cron from 'node-cron';
 import { dvfScraper } from './dvfScraper.js';
+import { duplicateDetector } from './duplicateDetector.js';
+import { savedSearchService } from './savedSearches.js';
+import { usageLogger } from './usageLogger.js';
+import { deactivateRotatedKeys } from './apiKeys.js';
+import { invalidateKeyCache } from '../middleware/auth.js';
+import { accountService } from './accounts.js';
 
 /**
  * Gestionnaire des tâches planifiées
@@ -29,8 +35,43 @@ export class Scheduler {
 
     this.jobs.push(scrapingJob);
 
+    // Rétention des logs d'usage (tous les jours à 03:30)
+    const retentionJob = cron.schedule('30 3 * * *', async () => {
+      await usageLogger.purge().catch(err => {
+        console.error('❌ Erreur lors de la purge des logs d\'usage:', err.message);
+      });
+    }, {
+      scheduled: true,
+      timezone: 'Europe/Paris'
+    });
+
+    this.jobs.push(retentionJob);
+
+    // Désactivation des clés API remplacées (toutes les 5 minutes)
+    const rotationJob = cron.schedule('*/5 * * * *', async () => {
+      await this.expireRotatedKeys();
+    }, {
+      scheduled: true,
+      timezone: 'Europe/Paris'
+    });
+
+    this.jobs.push(rotationJob);
+
+    // Suppression des inscriptions jamais confirmées (tous les jours à 04:00)
+    const pendingAccountsJob = cron.schedule('0 4 * * *', async () => {
+      await this.purgePendingAccounts();
+    }, {
+      scheduled: true,
+      timezone: 'Europe/Paris'
+    });
+
+    this.jobs.push(pendingAccountsJob);
+
     console.log('✅ Tâches planifiées:');
     console.log('   📍 Scraping DVF: toutes les 6 heures');
+    console.log(`   🧹 Purge des logs d'usage: tous les jours (${usageLogger.retentionDays} jours conservés)`);
+    console.log('   🔑 Fin de rotation des clés API: toutes les 5 minutes');
+    console.log(`   📧 Purge des inscriptions non confirmées: tous les jours (après ${accountService.pendingTtlDays} jours)`);
     console.log('');
 
     // Lancer un premier scraping au démarrage (en différé)
@@ -55,6 +96,19 @@ export class Scheduler {
       const result = await dvfScraper.scrapeAll();
       this.lastRun = new Date();
       this.lastResult = result;
+
+      // Regrouper les nouvelles annonces avec leurs doublons
+      if (!duplicateDetector.isRunning) {
+        await duplicateDetector.run().catch(err => {
+          console.error('❌ Erreur lors de la détection des doublons:', err.message);
+        });
+      }
+
+      // Notifier les recherches sauvegardées des nouvelles annonces
+      await savedSearchService.evaluateAll().catch(err => {
+        console.error('❌ Erreur lors de l\'évaluation des recherches:', err.message);
+      });
+
       return result;
     } catch (error) {
       console.error('❌ Erreur lors du scraping:', error.message);
@@ -64,6 +118,36 @@ export class Scheduler {
     }
   }
 
+  /**
+   * Désactiver les clés API dont la période de chevauchement est terminée
+   */
+  async expireRotatedKeys() {
+    try {
+      const keys = await deactivateRotatedKeys();
+      keys.forEach(key => invalidateKeyCache(key.keyHash));
+
+      if (keys.length > 0) {
+        console.log(`🔑 ${keys.length} clé(s) API remplacée(s) désactivée(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Erreur lors de la désactivation des clés remplacées:', error.message);
+    }
+  }
+
+  /**
+   * Supprimer les comptes dont l'email n'a jamais été confirmé
+   */
+  async purgePendingAccounts() {
+    try {
+      const count = await accountService.purgePendingAccounts();
+      if (count > 0) {
+        console.log(`📧 ${count} inscription(s) non confirmée(s) supprimée(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Erreur lors de la purge des inscriptions non confirmées:', error.message);
+    }
+  }
+
   /**
    * Obtenir le statut du scheduler
    */
@@ -1,58 +1,14 @@
 // Service de scraping immobilier
-// Note: Ce service utilise des données publiques et respecte les robots.txt
+// Note: Ce service utilise des données publiques et respecte les robots.txt (voir crawlPolicy.js)
 
-import axios from 'axios';
-import * as cheerio from 'cheerio';
 import { PrismaClient } from '@prisma/client';
+import { sourceRegistry } from './sources/index.js';
+import { normalizeString } from '../utils/helpers.js';
+import { parsePrice, parseSurface, parseRooms } from './parsers/frenchParsers.js';
+import { propertyStore, withPriceFlags } from './propertyStore.js';
 
 const prisma = new PrismaClient();
 
-// Configuration des sources
-const SOURCES = {
-  // Source de démonstration - À adapter selon les sites autorisés
-  demo: {
-    name: 'Demo Data',
-    baseUrl: 'https://example.com',
-    enabled: true
-  }
-};
-
-// User agents réalistes pour éviter les blocages
-const USER_AGENTS = [
-  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-  'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0'
-];
-
-// Obtenir un user agent aléatoire
-function getRandomUserAgent() {
-  return USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)];
-}
-
-// Délai aléatoire entre les requêtes (respecter les serveurs)
-function delay(min = 1000, max = 3000) {
-  const ms = Math.floor(Math.random() * (max - min + 1)) + min;
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-// Client HTTP configuré
-const httpClient = axios.create({
-  timeout: 30000,
-  headers: {
-    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-    'Accept-Language': 'fr-FR,fr;q=0.9,en-US;q=0.8,en;q=0.7',
-    'Accept-Encoding': 'gzip, deflate, br',
-    'Connection': 'keep-alive',
-    'Upgrade-Insecure-Requests': '1'
-  }
-});
-
-// Intercepteur pour ajouter un user agent aléatoire
-httpClient.interceptors.request.use(config => {
-  config.headers['User-Agent'] = getRandomUserAgent();
-  return config;
-});
-
 /**
  * Classe principale du scraper
  */
@@ -62,126 +18,94 @@ export class PropertyScraper {
   }
 
   /**
-   * Parser générique pour extraire les données
+   * Parsers génériques (voir parsers/frenchParsers.js)
    */
   parsePrice(priceStr) {
-    if (!priceStr) return null;
-    // Nettoyer et parser le prix
-    const cleaned = priceStr.replace(/[^\d]/g, '');
-    const price = parseInt(cleaned, 10);
-    return isNaN(price) ? null : price;
+    return parsePrice(priceStr);
   }
 
   parseSurface(surfaceStr) {
-    if (!surfaceStr) return null;
-    const match = surfaceStr.match(/(\d+(?:[.,]\d+)?)/);
-    if (match) {
-      return parseFloat(match[1].replace(',', '.'));
-    }
-    return null;
+    return parseSurface(surfaceStr);
   }
 
   parseRooms(roomsStr) {
-    if (!roomsStr) return null;
-    const match = roomsStr.match(/(\d+)/);
-    return match ? parseInt(match[1], 10) : null;
+    return parseRooms(roomsStr);
   }
 
   /**
-   * Générer des données de démonstration
-   * En production, remplacer par le vrai scraping
+   * Vérifier qu'une propriété respecte les filtres de recherche
+   * (appliqué aux résultats fusionnés de toutes les sources)
    */
-  generateDemoData(params) {
-    const { city, postalCode, type, transaction, minPrice, maxPrice, limit } = params;
-    
-    const cities = ['Paris', 'Lyon', 'Marseille', 'Bordeaux', 'Toulouse', 'Nantes', 'Nice', 'Lille'];
-    const propertyTypes = ['appartement', 'maison', 'studio', 'loft', 'terrain'];
-    const transactions = ['vente', 'location'];
-    
-    const selectedCity = city || cities[Math.floor(Math.random() * cities.length)];
-    const count = Math.min(limit || 10, 50);
-    
-    const properties = [];
-    
-    for (let i = 0; i < count; i++) {
-      const propType = type || propertyTypes[Math.floor(Math.random() * propertyTypes.length)];
-      const trans = transaction || transactions[Math.floor(Math.random() * transactions.length)];
-      const surface = Math.floor(Math.random() * 150) + 20;
-      const rooms = Math.floor(Math.random() * 6) + 1;
-      const bedrooms = Math.max(1, rooms - 1);
-      
-      let basePrice;
-      if (trans === 'location') {
-        basePrice = surface * (Math.floor(Math.random() * 20) + 15); // 15-35€/m²
-      } else {
-        basePrice = surface * (Math.floor(Math.random() * 5000) + 3000); // 3000-8000€/m²
-      }
-      
-      // Appliquer les filtres de prix
-      if (minPrice && basePrice < minPrice) continue;
-      if (maxPrice && basePrice > maxPrice) continue;
-      
-      properties.push({
-        id: `demo_${Date.now()}_${i}`,
-        externalId: `EXT${Math.random().toString(36).substr(2, 9).toUpperCase()}`,
-        source: 'demo',
-        title: `${propType.charAt(0).toUpperCase() + propType.slice(1)} ${rooms} pièces - ${selectedCity}`,
-        description: `Magnifique ${propType} de ${surface}m² situé à ${selectedCity}. ${rooms} pièces dont ${bedrooms} chambres. Proche commerces et transports.`,
-        price: basePrice,
-        pricePerSqm: Math.round(basePrice / surface),
-        surface: surface,
-        rooms: rooms,
-        bedrooms: bedrooms,
-        propertyType: propType,
-        transactionType: trans,
-        city: selectedCity,
-        postalCode: postalCode || `${Math.floor(Math.random() * 90000) + 10000}`,
-        department: selectedCity === 'Paris' ? '75' : Math.floor(Math.random() * 95 + 1).toString().padStart(2, '0'),
-        region: 'Île-de-France',
-        latitude: 48.8566 + (Math.random() - 0.5) * 0.1,
-        longitude: 2.3522 + (Math.random() - 0.5) * 0.1,
-        imageUrls: [
-          `https://picsum.photos/seed/${i}/800/600`,
-          `https://picsum.photos/seed/${i + 100}/800/600`
-        ],
-        url: `https://example.com/annonce/${i}`,
-        publishedAt: new Date(Date.now() - Math.floor(Math.random() * 30) * 24 * 60 * 60 * 1000),
-        scrapedAt: new Date()
-      });
-    }
-    
-    return properties;
+  matchesFilters(property, params) {
+    const { city, postalCode, propertyType, transactionType } = params;
+
+    if (city && !normalizeString(property.city).includes(normalizeString(city))) return false;
+    if (postalCode && property.postalCode !== postalCode) return false;
+    if (propertyType && property.propertyType !== propertyType) return false;
+    if (transactionType && property.transactionType !== transactionType) return false;
+    if (params.minPrice && !(property.price >= params.minPrice)) return false;
+    if (params.maxPrice && !(property.price <= params.maxPrice)) return false;
+    if (params.minSurface && !(property.surface >= params.minSurface)) return false;
+    if (params.maxSurface && !(property.surface <= params.maxSurface)) return false;
+    if (params.minRooms && !(property.rooms >= params.minRooms)) return false;
+    if (params.maxRooms && !(property.rooms <= params.maxRooms)) return false;
+
+    return true;
   }
 
   /**
-   * Rechercher des propriétés
+   * Rechercher des propriétés sur les sources activées
+   * params.sources restreint la recherche (ex: "demo,dvf_gouv")
    */
   async search(params) {
-    // En mode démo, générer des données
-    // En production, implémenter le vrai scraping ici
-    const properties = this.generateDemoData(params);
-    
-    // Sauvegarder en cache dans la BDD
-    for (const prop of properties) {
-      try {
-        await prisma.property.upsert({
-          where: { externalId: prop.externalId },
-          update: {
-            ...prop,
-            imageUrls: JSON.stringify(prop.imageUrls),
-            updatedAt: new Date()
-          },
-          create: {
-            ...prop,
-            imageUrls: JSON.stringify(prop.imageUrls)
-          }
-        });
-      } catch (e) {
-        // Ignorer les erreurs de duplication
+    const names = params.sources ? params.sources.split(',').map(s => s.trim()) : null;
+    const adapters = sourceRegistry.getEnabled(names);
+
+    const settled = await Promise.allSettled(
+      adapters.map(adapter => sourceRegistry.call(adapter, 'search', params))
+    );
+
+    const seen = new Set();
+    const properties = [];
+    const sources = [];
+
+    settled.forEach((outcome, i) => {
+      const name = adapters[i].name;
+
+      if (outcome.status === 'rejected') {
+        console.error(`❌ Source ${name}:`, outcome.reason.message);
+        sources.push({ name, count: 0, error: outcome.reason.message, code: outcome.reason.code });
+        return;
       }
-    }
-    
-    return properties;
+
+      const results = outcome.value.filter(p => this.matchesFilters(p, params));
+      sources.push({ name, count: results.length });
+
+      for (const prop of results) {
+        const key = `${prop.source}:${prop.externalId}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        properties.push(prop);
+      }
+    });
+
+    const limited = properties.slice(0, params.limit || 20);
+    await this.cacheProperties(limited);
+
+    return { properties: limited, sources };
+  }
+
+  /**
+   * Sauvegarder en cache dans la BDD
+   */
+  async cacheProperties(properties) {
+    const rows = properties.map(prop => ({
+      ...prop,
+      imageUrls: JSON.stringify(prop.imageUrls || [])
+    }));
+
+    // Les erreurs ligne à ligne sont comptées par le store, pas propagées
+    return propertyStore.saveMany(rows);
   }
 
   /**
@@ -200,11 +124,18 @@ export class PropertyScraper {
 
     if (cached) {
       return {
-        ...cached,
+        ...withPriceFlags(cached),
         imageUrls: cached.imageUrls ? JSON.parse(cached.imageUrls) : []
       };
     }
 
+    // Sinon interroger les sources qui savent retrouver une annonce
+    const adapters = sourceRegistry.getEnabled().filter(adapter => adapter.supportsDetails());
+    for (const adapter of adapters) {
+      const details = await sourceRegistry.call(adapter, 'getDetails', propertyId);
+      if (details) return details;
+    }
+
     return null;
   }
 
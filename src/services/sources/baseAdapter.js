@@ -0,0 +1,77 @@
+// Interface commune des sources de données (adapters)
+import { sleep } from '../../utils/helpers.js';
+
+/**
+ * Classe de base d'un adapter de source
+ * Une source implémente search / getDetails / normalize et déclare ses limites
+ */
+export class SourceAdapter {
+  constructor({ name, displayName, baseUrl = null, enabled = true, rateLimit = {} }) {
+    this.name = name;
+    this.displayName = displayName || name;
+    this.baseUrl = baseUrl;
+    this.enabled = enabled;
+    this.rateLimit = {
+      requestsPerMinute: rateLimit.requestsPerMinute || null,
+      minDelayMs: rateLimit.minDelayMs
+        ?? (rateLimit.requestsPerMinute ? Math.ceil(60000 / rateLimit.requestsPerMinute) : 0)
+    };
+    this.nextAvailableAt = 0;
+  }
+
+  /**
+   * Rechercher des annonces (retourne des propriétés normalisées)
+   */
+  async search(params) {
+    throw new Error(`La source ${this.name} n'implémente pas search()`);
+  }
+
+  /**
+   * Obtenir une annonce par son externalId (null si inconnue)
+   */
+  async getDetails(externalId) {
+    return null;
+  }
+
+  /**
+   * La source sait-elle retrouver une annonce par son externalId (getDetails redéfini) ?
+   * Les autres ne sont pas interrogées, ce qui évite d'attendre leur limite de débit pour rien
+   */
+  supportsDetails() {
+    return this.getDetails !== SourceAdapter.prototype.getDetails;
+  }
+
+  /**
+   * Convertir une donnée brute de la source au format Property
+   * (imageUrls en tableau, source renseignée)
+   */
+  normalize(raw) {
+    return { ...raw, source: this.name };
+  }
+
+  /**
+   * Attendre le créneau autorisé par la limite de la source
+   */
+  async throttle() {
+    const now = Date.now();
+    const wait = this.nextAvailableAt - now;
+    this.nextAvailableAt = Math.max(now, this.nextAvailableAt) + this.rateLimit.minDelayMs;
+
+    if (wait > 0) {
+      await sleep(wait);
+    }
+  }
+
+  /**
+   * Description publique de la source
+   */
+  describe() {
+    return {
+      name: this.name,
+      displayName: this.displayName,
+      baseUrl: this.baseUrl,
+      enabled: this.enabled,
+      rateLimit: this.rateLimit
+    };
+  }
+}
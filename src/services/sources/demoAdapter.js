@@ -0,0 +1,91 @@
+// Source de démonstration - données générées aléatoirement
+import { SourceAdapter } from './baseAdapter.js';
+
+/**
+ * Adapter de démonstration
+ */
+export class DemoAdapter extends SourceAdapter {
+  constructor() {
+    super({
+      name: 'demo',
+      displayName: 'Demo Data',
+      baseUrl: 'https://example.com'
+    });
+  }
+
+  /**
+   * Générer des données de démonstration
+   */
+  generateDemoData(params) {
+    const { city, postalCode, type, transaction, minPrice, maxPrice, limit } = params;
+    
+    const cities = ['Paris', 'Lyon', 'Marseille', 'Bordeaux', 'Toulouse', 'Nantes', 'Nice', 'Lille'];
+    const propertyTypes = ['appartement', 'maison', 'studio', 'loft', 'terrain'];
+    const transactions = ['vente', 'location'];
+    
+    const selectedCity = city || cities[Math.floor(Math.random() * cities.length)];
+    const count = Math.min(limit || 10, 50);
+    
+    const properties = [];
+    
+    for (let i = 0; i < count; i++) {
+      const propType = type || propertyTypes[Math.floor(Math.random() * propertyTypes.length)];
+      const trans = transaction || transactions[Math.floor(Math.random() * transactions.length)];
+      const surface = Math.floor(Math.random() * 150) + 20;
+      const rooms = Math.floor(Math.random() * 6) + 1;
+      const bedrooms = Math.max(1, rooms - 1);
+      
+      let basePrice;
+      if (trans === 'location') {
+        basePrice = surface * (Math.floor(Math.random() * 20) + 15); // 15-35€/m²
+      } else {
+        basePrice = surface * (Math.floor(Math.random() * 5000) + 3000); // 3000-8000€/m²
+      }
+      
+      // Appliquer les filtres de prix
+      if (minPrice && basePrice < minPrice) continue;
+      if (maxPrice && basePrice > maxPrice) continue;
+      
+      properties.push({
+        id: `demo_${Date.now()}_${i}`,
+        externalId: `EXT${Math.random().toString(36).substr(2, 9).toUpperCase()}`,
+        source: 'demo',
+        title: `${propType.charAt(0).toUpperCase() + propType.slice(1)} ${rooms} pièces - ${selectedCity}`,
+        description: `Magnifique ${propType} de ${surface}m² situé à ${selectedCity}. ${rooms} pièces dont ${bedrooms} chambres. Proche commerces et transports.`,
+        price: basePrice,
+        pricePerSqm: Math.round(basePrice / surface),
+        surface: surface,
+        rooms: rooms,
+        bedrooms: bedrooms,
+        propertyType: propType,
+        transactionType: trans,
+        city: selectedCity,
+        postalCode: postalCode || `${Math.floor(Math.random() * 90000) + 10000}`,
+        department: selectedCity === 'Paris' ? '75' : Math.floor(Math.random() * 95 + 1).toString().padStart(2, '0'),
+        region: 'Île-de-France',
+        latitude: 48.8566 + (Math.random() - 0.5) * 0.1,
+        longitude: 2.3522 + (Math.random() - 0.5) * 0.1,
+        imageUrls: [
+          `https://picsum.photos/seed/${i}/800/600`,
+          `https://picsum.photos/seed/${i + 100}/800/600`
+        ],
+        url: `https://example.com/annonce/${i}`,
+        publishedAt: new Date(Date.now() - Math.floor(Math.random() * 30) * 24 * 60 * 60 * 1000),
+        scrapedAt: new Date()
+      });
+    }
+    
+    return properties;
+  }
+
+  /**
+   * Rechercher (les paramètres de l'API sont traduits vers le générateur)
+   */
+  async search(params) {
+    return this.generateDemoData({
+      ...params,
+      type: params.propertyType,
+      transaction: params.transactionType
+    }).map(raw => this.normalize(raw));
+  }
+}
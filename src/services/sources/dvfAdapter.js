@@ -0,0 +1,54 @@
+// Source DVF - ventes réelles issues de l'API DVF (données publiques)
+import { SourceAdapter } from './baseAdapter.js';
+import { dvfScraper } from '../dvfScraper.js';
+
+/**
+ * Adapter DVF: recherche à la demande sur une zone (code postal ou département)
+ */
+export class DVFAdapter extends SourceAdapter {
+  constructor(scraper = dvfScraper) {
+    super({
+      name: 'dvf_gouv',
+      displayName: 'DVF (data.gouv.fr)',
+      baseUrl: 'https://app.dvf.etalab.gouv.fr',
+      rateLimit: { requestsPerMinute: 60 }
+    });
+    this.scraper = scraper;
+  }
+
+  /**
+   * Rechercher les ventes d'une zone
+   * DVF ne contient que des ventes et exige une zone géographique
+   */
+  async search(params) {
+    if (params.transactionType === 'location') return [];
+
+    const query = {};
+    if (params.postalCode) {
+      query.code_postal = params.postalCode;
+    } else if (params.department) {
+      query.code_departement = params.department;
+    } else {
+      return [];
+    }
+
+    const rows = await this.scraper.searchMutations(query);
+
+    return this.scraper.groupMutations(rows)
+      .map(mutation => this.normalize(mutation))
+      .filter(p => p !== null);
+  }
+
+  /**
+   * Mutation DVF (lignes groupées) -> Property
+   */
+  normalize(rows) {
+    const property = this.scraper.mutationToProperty(rows);
+    if (!property) return null;
+
+    return {
+      ...property,
+      imageUrls: JSON.parse(property.imageUrls)
+    };
+  }
+}
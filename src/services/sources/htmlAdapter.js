@@ -0,0 +1,101 @@
+// Adapter générique pour les sites d'annonces HTML, piloté par configuration
+import crypto from 'crypto';
+import { SourceAdapter } from './baseAdapter.js';
+import { httpClient as defaultHttpClient } from '../httpClient.js';
+import { extractListings, extractDetails } from '../parsers/extractor.js';
+import { calculatePricePerSqm } from '../../utils/helpers.js';
+
+/**
+ * Adapter HTML: une source = une configuration de sélecteurs
+ *
+ * config: {
+ *   name, displayName, baseUrl, rateLimit, enabled,
+ *   buildSearchUrl(params) -> URL de la page de résultats,
+ *   buildDetailUrl(externalId) -> URL de la page de détail (optionnel),
+ *   selectors: { list, detail } (voir parsers/extractor.js)
+ * }
+ * Les champs extraits portent les noms des colonnes Property
+ * (title, price, surface, rooms, bedrooms, energyClass, ghgClass, floor, yearBuilt...)
+ */
+export class HtmlSourceAdapter extends SourceAdapter {
+  constructor(config, { httpClient = defaultHttpClient } = {}) {
+    super({
+      name: config.name,
+      displayName: config.displayName,
+      baseUrl: config.baseUrl,
+      enabled: config.enabled ?? false,
+      rateLimit: config.rateLimit
+    });
+    this.config = config;
+    this.httpClient = httpClient;
+  }
+
+  /**
+   * Télécharger et extraire la page de résultats
+   */
+  async search(params) {
+    const url = this.config.buildSearchUrl(params);
+    const response = await this.httpClient.get(url);
+
+    return extractListings(response.data, this.config.selectors, this.baseUrl)
+      .map(raw => this.normalize(raw, params))
+      .filter(p => p !== null);
+  }
+
+  /**
+   * Détail disponible seulement avec buildDetailUrl et des sélecteurs de détail
+   */
+  supportsDetails() {
+    return Boolean(this.config.buildDetailUrl && this.config.selectors.detail);
+  }
+
+  /**
+   * Télécharger et extraire une page de détail
+   */
+  async getDetails(externalId) {
+    if (!this.config.buildDetailUrl || !this.config.selectors.detail) return null;
+
+    const url = this.config.buildDetailUrl(externalId);
+    const response = await this.httpClient.get(url);
+    const raw = extractDetails(response.data, this.config.selectors, this.baseUrl);
+
+    return this.normalize({ externalId, url, ...raw });
+  }
+
+  /**
+   * Champs extraits -> Property
+   */
+  normalize(raw, params = {}) {
+    if (!raw.title && !raw.url) return null;
+
+    const externalId = raw.externalId
+      || crypto.createHash('sha1').update(raw.url || raw.title).digest('hex').substring(0, 16);
+
+    return {
+      externalId: `${this.name}_${externalId}`,
+      source: this.name,
+      title: raw.title || 'Annonce',
+      description: raw.description || null,
+      price: raw.price ?? null,
+      pricePerSqm: raw.pricePerSqm ?? calculatePricePerSqm(raw.price, raw.surface),
+      surface: raw.surface ?? null,
+      rooms: raw.rooms ?? null,
+      bedrooms: raw.bedrooms ?? null,
+      propertyType: raw.propertyType || params.propertyType || null,
+      transactionType: raw.transactionType || params.transactionType || 'vente',
+      energyClass: raw.energyClass || null,
+      ghgClass: raw.ghgClass || null,
+      floor: raw.floor ?? null,
+      yearBuilt: raw.yearBuilt ?? null,
+      city: raw.city || null,
+      postalCode: raw.postalCode || null,
+      department: raw.department || null,
+      latitude: raw.latitude ?? null,
+      longitude: raw.longitude ?? null,
+      imageUrls: raw.imageUrls || [],
+      url: raw.url || this.baseUrl,
+      publishedAt: raw.publishedAt || null,
+      scrapedAt: new Date()
+    };
+  }
+}
@@ -0,0 +1,71 @@
+// Registre des sources de données (adapters)
+import { DemoAdapter } from './demoAdapter.js';
+import { DVFAdapter } from './dvfAdapter.js';
+
+/**
+ * Registre des adapters de sources
+ * SOURCES_ENABLED (ex: "demo,dvf_gouv") remplace l'activation par défaut
+ */
+export class SourceRegistry {
+  constructor() {
+    this.adapters = new Map();
+  }
+
+  /**
+   * Enregistrer un adapter
+   */
+  register(adapter) {
+    this.adapters.set(adapter.name, adapter);
+    return adapter;
+  }
+
+  /**
+   * Obtenir un adapter par son nom
+   */
+  get(name) {
+    return this.adapters.get(name) || null;
+  }
+
+  /**
+   * Vérifier si une source est activée (config puis défaut de l'adapter)
+   */
+  isEnabled(adapter) {
+    const configured = process.env.SOURCES_ENABLED;
+    if (configured) {
+      return configured.split(',').map(s => s.trim()).includes(adapter.name);
+    }
+    return adapter.enabled;
+  }
+
+  /**
+   * Adapters activés, éventuellement restreints à une liste de noms
+   */
+  getEnabled(names = null) {
+    return [...this.adapters.values()].filter(adapter =>
+      this.isEnabled(adapter) && (!names || names.includes(adapter.name))
+    );
+  }
+
+  /**
+   * Appeler une méthode d'un adapter en respectant sa limite de débit
+   */
+  async call(adapter, method, ...args) {
+    await adapter.throttle();
+    return adapter[method](...args);
+  }
+
+  /**
+   * Lister les sources et leur statut
+   */
+  list() {
+    return [...this.adapters.values()].map(adapter => ({
+      ...adapter.describe(),
+      enabled: this.isEnabled(adapter)
+    }));
+  }
+}
+
+// Instance singleton avec les sources intégrées
+export const sourceRegistry = new SourceRegistry();
+sourceRegistry.register(new DemoAdapter());
+sourceRegistry.register(new DVFAdapter());
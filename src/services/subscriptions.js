@@ -0,0 +1,276 @@
+// Gestion des abonnements: changement de plan, résiliation et statuts
+// Plan payant (hausse, réactivation): appliqué uniquement par la facturation (voir billing.js)
+// Baisse de plan et résiliation: appliquées à la fin de la période (voir quotaService.renew)
+
+import { PrismaClient } from '@prisma/client';
+import { quotaService, addMonths, PERIOD_MONTHS } from './quota.js';
+
+const prisma = new PrismaClient();
+
+// Transitions de statut autorisées
+export const STATUS_TRANSITIONS = {
+  active: ['past_due', 'canceled'],
+  past_due: ['active', 'canceled'],
+  canceled: ['active']
+};
+
+/**
+ * Arrondir un montant au centime
+ */
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Prorata d'un changement de plan immédiat
+ * credit: part non consommée du plan actuel, charge: part restante du nouveau plan
+ */
+export function computeProration(currentPlan, newPlan, subscription, now = new Date()) {
+  const total = subscription.periodEnd - subscription.periodStart;
+  const remaining = Math.max(0, subscription.periodEnd - now);
+  const ratio = total > 0 ? Math.min(1, remaining / total) : 0;
+
+  const credit = roundAmount(currentPlan.price * ratio);
+  const charge = roundAmount(newPlan.price * ratio);
+
+  return {
+    ratio: Math.round(ratio * 10000) / 10000,
+    credit,
+    charge,
+    amountDue: roundAmount(Math.max(0, charge - credit)),
+    currency: 'EUR'
+  };
+}
+
+/**
+ * Formater un abonnement pour les réponses
+ */
+export function toSubscriptionView(subscription) {
+  return {
+    status: subscription.status,
+    plan: subscription.plan.name,
+    pendingPlan: subscription.pendingPlan?.name || null,
+    periodStart: subscription.periodStart,
+    periodEnd: subscription.periodEnd,
+    cancelAtPeriodEnd: subscription.cancelAtPeriodEnd,
+    canceledAt: subscription.canceledAt,
+    requestsUsed: subscription.requestsUsed,
+    requestsLimit: subscription.plan.requestsLimit
+  };
+}
+
+const SUBSCRIPTION_INCLUDE = { plan: true, pendingPlan: true };
+
+/**
+ * Erreur renvoyée quand l'abonnement a été modifié entre lecture et écriture
+ */
+const CONCURRENT_CHANGE = {
+  status: 409,
+  error: 'SUBSCRIPTION_CHANGED',
+  message: 'L\'abonnement a été modifié entre-temps. Réessayez.'
+};
+
+/**
+ * Refus d'un passage à un plan payant: le plan est appliqué par la facturation après paiement
+ * checkout: paramètres de la session Checkout (null sans fournisseur de paiement)
+ */
+function paymentRequired(userId, plan, proration, paymentsEnabled) {
+  return {
+    status: 402,
+    error: 'PAYMENT_REQUIRED',
+    message: paymentsEnabled
+      ? `Le plan ${plan.name} est activé après paiement.`
+      : `Le plan ${plan.name} n'est pas disponible en libre-service.`,
+    data: {
+      plan: plan.name,
+      proration,
+      checkout: paymentsEnabled
+        ? { clientReferenceId: userId, metadata: { plan: plan.name } }
+        : null
+    }
+  };
+}
+
+/**
+ * Service des abonnements
+ * Les méthodes retournent { status, error, message } en cas de refus
+ */
+export class SubscriptionService {
+  /**
+   * Fournisseur de paiement configuré (webhook Stripe)
+   */
+  get paymentsEnabled() {
+    return Boolean(process.env.STRIPE_WEBHOOK_SECRET);
+  }
+
+  /**
+   * Abonnement d'un utilisateur avec plan actuel et plan programmé
+   */
+  async get(userId) {
+    const subscription = await quotaService.getOrCreateSubscription(userId);
+    if (!subscription) return null;
+
+    return prisma.subscription.findUnique({
+      where: { id: subscription.id },
+      include: SUBSCRIPTION_INCLUDE
+    });
+  }
+
+  /**
+   * Mise à jour conditionnelle (null si l'abonnement a changé entre-temps)
+   * requestsUsed n'entre pas dans la condition: il évolue à chaque requête
+   */
+  async updateIfUnchanged(subscription, data) {
+    try {
+      return await prisma.subscription.update({
+        where: {
+          id: subscription.id,
+          planId: subscription.planId,
+          pendingPlanId: subscription.pendingPlanId,
+          status: subscription.status,
+          periodEnd: subscription.periodEnd,
+          cancelAtPeriodEnd: subscription.cancelAtPeriodEnd
+        },
+        data,
+        include: SUBSCRIPTION_INCLUDE
+      });
+    } catch (error) {
+      if (error.code === 'P2025') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Changer de plan
+   */
+  async changePlan(userId, planName, now = new Date()) {
+    const plan = await prisma.plan.findUnique({ where: { name: planName } });
+    if (!plan) {
+      return { status: 404, error: 'PLAN_NOT_FOUND', message: `Plan inconnu: ${planName}` };
+    }
+
+    const subscription = await this.get(userId);
+    if (!subscription) {
+      return { status: 409, error: 'NO_SUBSCRIPTION', message: 'Aucun abonnement pour ce compte.' };
+    }
+
+    if (subscription.status === 'past_due') {
+      return {
+        status: 409,
+        error: 'SUBSCRIPTION_PAST_DUE',
+        message: 'Un paiement est en attente: régularisez-le avant de changer de plan.'
+      };
+    }
+
+    // Abonnement résilié ou échu: nouvelle période à partir de maintenant (plan gratuit uniquement)
+    if (subscription.status === 'canceled' || subscription.periodEnd <= now) {
+      const proration = { ratio: 1, credit: 0, charge: plan.price, amountDue: plan.price, currency: 'EUR' };
+      if (plan.price > 0) return paymentRequired(userId, plan, proration, this.paymentsEnabled);
+
+      const updated = await this.updateIfUnchanged(subscription, {
+        planId: plan.id,
+        pendingPlanId: null,
+        status: 'active',
+        cancelAtPeriodEnd: false,
+        canceledAt: null,
+        requestsUsed: 0,
+        periodStart: now,
+        periodEnd: addMonths(now, PERIOD_MONTHS)
+      });
+      if (!updated) return CONCURRENT_CHANGE;
+
+      return { change: 'reactivate', subscription: updated, proration };
+    }
+
+    // Même plan: annule une baisse ou une résiliation programmée
+    if (plan.id === subscription.planId) {
+      if (!subscription.pendingPlanId && !subscription.cancelAtPeriodEnd) {
+        return { status: 409, error: 'SAME_PLAN', message: `Vous êtes déjà sur le plan ${plan.name}.` };
+      }
+
+      const updated = await this.updateIfUnchanged(subscription, {
+        pendingPlanId: null,
+        cancelAtPeriodEnd: false,
+        canceledAt: null
+      });
+      if (!updated) return CONCURRENT_CHANGE;
+
+      return { change: 'keep', subscription: updated, proration: null };
+    }
+
+    // Hausse ou plan payant de même prix: appliqué par checkout.session.completed / invoice.paid
+    if (plan.price > 0 && plan.price >= subscription.plan.price) {
+      const proration = computeProration(subscription.plan, plan, subscription, now);
+      return paymentRequired(userId, plan, proration, this.paymentsEnabled);
+    }
+
+    // Baisse: programmée pour la fin de la période, sans remboursement
+    const updated = await this.updateIfUnchanged(subscription, {
+      pendingPlanId: plan.id,
+      cancelAtPeriodEnd: false,
+      canceledAt: null
+    });
+    if (!updated) return CONCURRENT_CHANGE;
+
+    return { change: 'downgrade', subscription: updated, proration: null, effectiveAt: updated.periodEnd };
+  }
+
+  /**
+   * Résilier à la fin de la période
+   */
+  async cancel(userId, now = new Date()) {
+    const subscription = await this.get(userId);
+    if (!subscription) {
+      return { status: 409, error: 'NO_SUBSCRIPTION', message: 'Aucun abonnement pour ce compte.' };
+    }
+
+    if (subscription.status === 'canceled' || subscription.cancelAtPeriodEnd) {
+      return { status: 409, error: 'ALREADY_CANCELED', message: 'L\'abonnement est déjà résilié.' };
+    }
+
+    const updated = await this.updateIfUnchanged(subscription, {
+      cancelAtPeriodEnd: true,
+      canceledAt: now,
+      pendingPlanId: null
+    });
+    if (!updated) return CONCURRENT_CHANGE;
+
+    return { subscription: updated, effectiveAt: updated.periodEnd };
+  }
+
+  /**
+   * Annuler une résiliation programmée
+   */
+  async resume(userId) {
+    const subscription = await this.get(userId);
+    if (!subscription || !subscription.cancelAtPeriodEnd) {
+      return { status: 409, error: 'NOT_CANCELED', message: 'Aucune résiliation en cours.' };
+    }
+
+    const updated = await this.updateIfUnchanged(subscription, {
+      cancelAtPeriodEnd: false,
+      canceledAt: null
+    });
+    if (!updated) return CONCURRENT_CHANGE;
+
+    return { subscription: updated };
+  }
+
+  /**
+   * Changer le statut d'un abonnement (paiement échoué, régularisé, résiliation immédiate)
+   * Retourne null si la transition n'est pas autorisée depuis le statut actuel
+   */
+  async transition(subscriptionId, status, data = {}) {
+    const subscription = await prisma.subscription.findUnique({ where: { id: subscriptionId } });
+    if (!subscription) return null;
+
+    if (subscription.status !== status && !STATUS_TRANSITIONS[subscription.status]?.includes(status)) {
+      return null;
+    }
+
+    return this.updateIfUnchanged(subscription, { ...data, status });
+  }
+}
+
+// Instance singleton
+export const subscriptionService = new SubscriptionService();
@@ -0,0 +1,332 @@
+// Statistiques d'usage d'un client (à partir de UsageLog)
+// Requêtes, taux d'erreur et latences p50/p95 par période, par clé API et par endpoint
+// Compteurs agrégés en base (groupBy), percentiles de latence calculés en base (ROW_NUMBER)
+
+import { PrismaClient, Prisma } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+const MAX_RANGE_DAYS = 92;
+const MAX_HOURLY_RANGE_DAYS = 7;
+
+// Colonnes de regroupement des latences (insérées telles quelles dans le SQL)
+const LATENCY_COLUMNS = ['apiKeyId', 'method', 'endpoint'];
+
+// Lignes de l'export CSV au maximum (header X-Usage-Truncated au-delà)
+const MAX_CSV_ROWS = 10000;
+
+// Regroupement des lignes de l'export CSV (en plus de la période)
+const CSV_GROUP_BY = ['apiKeyId', 'method', 'endpoint'];
+
+// Périodes interrogées en parallèle
+const BUCKET_CONCURRENCY = 8;
+
+const BUCKET_MS = { hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000 };
+
+/**
+ * Début de la période (UTC) contenant une date
+ */
+function bucketStart(date, bucket) {
+  const start = new Date(date);
+  if (bucket === 'hour') {
+    start.setUTCMinutes(0, 0, 0);
+  } else {
+    start.setUTCHours(0, 0, 0, 0);
+  }
+  return start;
+}
+
+/**
+ * Périodes couvrant la plage, bornées à la plage
+ */
+function listBuckets(from, to, bucket) {
+  const buckets = [];
+  for (let start = bucketStart(from, bucket); start < to; start = new Date(start.getTime() + BUCKET_MS[bucket])) {
+    const end = new Date(start.getTime() + BUCKET_MS[bucket]);
+    buckets.push({ start, from: start < from ? from : start, to: end > to ? to : end });
+  }
+  return buckets;
+}
+
+/**
+ * Exécuter fn sur chaque élément, par groupes de `concurrency`
+ */
+async function mapInChunks(items, concurrency, fn) {
+  const results = [];
+  for (let i = 0; i < items.length; i += concurrency) {
+    results.push(...await Promise.all(items.slice(i, i + concurrency).map(fn)));
+  }
+  return results;
+}
+
+/**
+ * Rang (1 à n) d'un percentile (méthode du rang le plus proche, comme le filtre SQL de latencyBy)
+ */
+function percentileRank(p, n) {
+  return Math.min(n, Math.max(1, Math.ceil((p / 100) * n)));
+}
+
+/**
+ * Clé d'un groupe: valeurs des colonnes `by`
+ */
+function groupKey(item, by) {
+  return by.map(column => item[column]).join('\n');
+}
+
+/**
+ * Agrégat vide
+ */
+function createStats() {
+  return { requests: 0, errors: 0, cost: 0 };
+}
+
+/**
+ * Ajouter un groupe (groupBy par statusCode) à un agrégat
+ */
+function addGroup(stats, group) {
+  stats.requests += group._count._all;
+  if (group.statusCode >= 400) stats.errors += group._count._all;
+  stats.cost += group._sum.cost || 0;
+}
+
+/**
+ * Finaliser un agrégat (taux d'erreur et percentiles calculés par latencyBy)
+ */
+function summarize(stats, latency) {
+  return {
+    requests: stats.requests,
+    errors: stats.errors,
+    errorRate: stats.requests ? Math.round((stats.errors / stats.requests) * 10000) / 100 : 0,
+    cost: stats.cost,
+    p50: latency?.p50 ?? null,
+    p95: latency?.p95 ?? null
+  };
+}
+
+/**
+ * Agrégats par groupe (colonnes `by`): compteurs depuis groupBy, latences depuis latencyBy
+ * Retourne [[clé, agrégat]]
+ */
+function groupStats(groups, latencies, by) {
+  const stats = new Map();
+  for (const group of groups) {
+    const key = groupKey(group, by);
+    if (!stats.has(key)) stats.set(key, createStats());
+    addGroup(stats.get(key), group);
+  }
+
+  return [...stats].map(([key, groupStat]) => [key, summarize(groupStat, latencies.get(key))]);
+}
+
+/**
+ * Service d'analyse de l'usage
+ * Les compteurs (requêtes, erreurs, coût) sont agrégés en base; aucune requête ne charge
+ * toutes les entrées de la plage
+ */
+export class UsageAnalytics {
+  /**
+   * Valider et compléter la plage demandée (7 derniers jours par défaut)
+   */
+  resolveRange({ from, to, bucket = 'day' } = {}) {
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+    if (isNaN(start) || isNaN(end) || start >= end) {
+      return { error: 'La date de début doit précéder la date de fin.' };
+    }
+
+    const maxDays = bucket === 'hour' ? MAX_HOURLY_RANGE_DAYS : MAX_RANGE_DAYS;
+    if (end - start > maxDays * 24 * 60 * 60 * 1000) {
+      return { error: `Plage maximale: ${maxDays} jours${bucket === 'hour' ? ' par heure' : ''}.` };
+    }
+
+    return { from: start, to: end, bucket };
+  }
+
+  /**
+   * Filtre des entrées d'un utilisateur sur une plage
+   */
+  buildWhere(userId, { from, to, apiKeyId }) {
+    return {
+      userId,
+      createdAt: { gte: from, lt: to },
+      ...(apiKeyId && { apiKeyId })
+    };
+  }
+
+  /**
+   * Compteurs d'une plage regroupés par `by` et par code HTTP
+   */
+  async countBy(where, by) {
+    return prisma.usageLog.groupBy({
+      by: [...by, 'statusCode'],
+      where,
+      _count: { _all: true },
+      _sum: { cost: true }
+    });
+  }
+
+  /**
+   * Latences p50/p95 exactes d'une plage, par groupe (colonnes `by` de LATENCY_COLUMNS)
+   * Rangs calculés en base: seules les deux lignes des percentiles de chaque groupe sont lues
+   * Retourne Map(clé du groupe -> { p50, p95 })
+   */
+  async latencyBy(userId, { from, to, apiKeyId = null }, by) {
+    const columns = by.map(column => {
+      if (!LATENCY_COLUMNS.includes(column)) throw new Error(`Colonne de latence inconnue: ${column}`);
+      return Prisma.raw(`"${column}"`);
+    });
+    const selected = columns.length ? Prisma.sql`${Prisma.join(columns)}, ` : Prisma.empty;
+    const partition = columns.length ? Prisma.sql`PARTITION BY ${Prisma.join(columns)} ` : Prisma.empty;
+
+    const rows = await prisma.$queryRaw`
+      SELECT ${selected}"duration", "rn", "n" FROM (
+        SELECT ${selected}"duration",
+          ROW_NUMBER() OVER (${partition}ORDER BY "duration") AS "rn",
+          COUNT(*) OVER (${partition}) AS "n"
+        FROM "UsageLog"
+        WHERE "userId" = ${userId} AND "createdAt" >= ${from} AND "createdAt" < ${to}
+          ${apiKeyId ? Prisma.sql`AND "apiKeyId" = ${apiKeyId}` : Prisma.empty}
+      ) AS "ranked"
+      WHERE "rn" = ("n" * 50 + 99) / 100 OR "rn" = ("n" * 95 + 99) / 100`;
+
+    const latencies = new Map();
+    for (const row of rows) {
+      const key = groupKey(row, by);
+      const n = Number(row.n);
+      const rank = Number(row.rn);
+      if (!latencies.has(key)) latencies.set(key, { p50: null, p95: null });
+
+      const latency = latencies.get(key);
+      if (rank === percentileRank(50, n)) latency.p50 = Number(row.duration);
+      if (rank === percentileRank(95, n)) latency.p95 = Number(row.duration);
+    }
+    return latencies;
+  }
+
+  /**
+   * Noms des clés API d'un utilisateur
+   */
+  async getKeyNames(userId) {
+    const keys = await prisma.apiKey.findMany({
+      where: { userId },
+      select: { id: true, name: true }
+    });
+    return new Map(keys.map(key => [key.id, key.name]));
+  }
+
+  /**
+   * Rapport d'usage: totaux, périodes, clés API et endpoints
+   */
+  async getReport(userId, { from, to, bucket, apiKeyId = null }) {
+    const range = { from, to, apiKeyId };
+    const where = this.buildWhere(userId, range);
+
+    const [keyNames, byKeyGroups, byEndpointGroups, totalLatency, keyLatencies, endpointLatencies, periods] = await Promise.all([
+      this.getKeyNames(userId),
+      this.countBy(where, ['apiKeyId']),
+      this.countBy(where, ['method', 'endpoint']),
+      this.latencyBy(userId, range, []),
+      this.latencyBy(userId, range, ['apiKeyId']),
+      this.latencyBy(userId, range, ['method', 'endpoint']),
+      mapInChunks(listBuckets(from, to, bucket), BUCKET_CONCURRENCY, async period => {
+        const periodRange = { ...period, apiKeyId };
+        const [groups, latencies] = await Promise.all([
+          this.countBy(this.buildWhere(userId, periodRange), []),
+          this.latencyBy(userId, periodRange, [])
+        ]);
+        return { start: period.start, groups, latencies };
+      })
+    ]);
+
+    const buckets = periods
+      .filter(period => period.groups.length > 0)
+      .map(period => {
+        const [[, stats]] = groupStats(period.groups, period.latencies, []);
+        return { start: period.start.toISOString(), ...stats };
+      });
+
+    const total = createStats();
+    byKeyGroups.forEach(group => addGroup(total, group));
+
+    const byApiKey = groupStats(byKeyGroups, keyLatencies, ['apiKeyId'])
+      .map(([id, stats]) => ({ apiKeyId: id, name: keyNames.get(id) || null, ...stats }))
+      .sort((a, b) => b.requests - a.requests);
+
+    const byEndpoint = groupStats(byEndpointGroups, endpointLatencies, ['method', 'endpoint'])
+      .map(([key, stats]) => {
+        const [method, endpoint] = key.split('\n');
+        return { method, endpoint, ...stats };
+      })
+      .sort((a, b) => b.requests - a.requests);
+
+    return {
+      range: { from, to, bucket },
+      totals: summarize(total, totalLatency.get('')),
+      buckets,
+      byApiKey,
+      byEndpoint
+    };
+  }
+
+  /**
+   * Lignes détaillées pour l'export CSV: période x clé API x endpoint
+   * Retourne { rows, truncated } (MAX_CSV_ROWS lignes au plus)
+   */
+  async getCsvRows(userId, { from, to, bucket, apiKeyId = null }) {
+    const keyNames = await this.getKeyNames(userId);
+    const rows = [];
+    let truncated = false;
+
+    const periods = listBuckets(from, to, bucket);
+    for (let i = 0; i < periods.length && !truncated; i += BUCKET_CONCURRENCY) {
+      const chunk = await Promise.all(periods.slice(i, i + BUCKET_CONCURRENCY).map(async period => {
+        const periodRange = { ...period, apiKeyId };
+        const [groups, latencies] = await Promise.all([
+          this.countBy(this.buildWhere(userId, periodRange), CSV_GROUP_BY),
+          this.latencyBy(userId, periodRange, CSV_GROUP_BY)
+        ]);
+        return { start: period.start, groups, latencies };
+      }));
+
+      for (const period of chunk) {
+        for (const [key, groupStat] of groupStats(period.groups, period.latencies, CSV_GROUP_BY)) {
+          if (rows.length >= MAX_CSV_ROWS) {
+            truncated = true;
+            break;
+          }
+
+          const [id, method, endpoint] = key.split('\n');
+          rows.push({
+            periodStart: period.start.toISOString(),
+            apiKeyId: id,
+            apiKeyName: keyNames.get(id) || '',
+            method,
+            endpoint,
+            ...groupStat
+          });
+        }
+      }
+    }
+
+    return { rows, truncated };
+  }
+}
+
+// Colonnes de l'export CSV
+export const USAGE_CSV_COLUMNS = [
+  { key: 'periodStart', label: 'period_start' },
+  { key: 'apiKeyId', label: 'api_key_id' },
+  { key: 'apiKeyName', label: 'api_key_name' },
+  { key: 'method', label: 'method' },
+  { key: 'endpoint', label: 'endpoint' },
+  { key: 'requests', label: 'requests' },
+  { key: 'errors', label: 'errors' },
+  { key: 'errorRate', label: 'error_rate_pct' },
+  { key: 'cost', label: 'cost' },
+  { key: 'p50', label: 'p50_ms' },
+  { key: 'p95', label: 'p95_ms' }
+];
+
+// Instance singleton
+export const usageAnalytics = new UsageAnalytics();
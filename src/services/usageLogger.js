@@ -0,0 +1,147 @@
+// Journalisation de l'usage de l'API (UsageLog)
+// Les entrées sont mises en tampon et écrites par lots (createMany),
+// pour ne pas ajouter une écriture en base à chaque requête
+
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// Au-delà, les nouvelles entrées sont abandonnées (base indisponible)
+const MAX_BUFFER_SIZE = 10000;
+
+/**
+ * Journal d'usage avec écriture par lots
+ */
+export class UsageLogger {
+  constructor() {
+    this.buffer = [];
+    this.timer = null;
+    this.flushing = null;
+    this.dropped = 0;
+    this.requeued = new WeakSet(); // entrées déjà remises en tampon après un échec
+  }
+
+  get flushIntervalMs() {
+    return parseInt(process.env.USAGE_LOG_FLUSH_MS) || 2000;
+  }
+
+  get batchSize() {
+    return parseInt(process.env.USAGE_LOG_BATCH_SIZE) || 200;
+  }
+
+  get retentionDays() {
+    return parseInt(process.env.USAGE_LOG_RETENTION_DAYS) || 90;
+  }
+
+  /**
+   * Démarrer l'écriture périodique
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.flush().catch(err => console.error('❌ Erreur écriture UsageLog:', err.message));
+    }, this.flushIntervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Arrêter et écrire les entrées restantes
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    await this.flush();
+  }
+
+  /**
+   * Ajouter une entrée au tampon
+   */
+  record(entry) {
+    if (this.buffer.length >= MAX_BUFFER_SIZE) {
+      this.dropped++;
+      return;
+    }
+
+    this.buffer.push(entry);
+
+    if (this.buffer.length >= this.batchSize) {
+      this.flush().catch(err => console.error('❌ Erreur écriture UsageLog:', err.message));
+    }
+  }
+
+  /**
+   * Écrire le tampon en base (un seul flush à la fois)
+   * Un lot en échec est remis en tête du tampon pour le flush suivant;
+   * s'il échoue une seconde fois il est abandonné et les lots suivants sont écrits
+   */
+  async flush() {
+    if (this.flushing) return this.flushing;
+
+    this.flushing = (async () => {
+      let lastError = null;
+
+      while (this.buffer.length > 0) {
+        const batch = this.buffer.splice(0, this.batchSize);
+        try {
+          await prisma.usageLog.createMany({ data: batch });
+        } catch (error) {
+          lastError = error;
+          const retry = batch.filter(entry => !this.requeued.has(entry));
+          this.dropped += batch.length - retry.length;
+
+          if (retry.length > 0) {
+            // Premier échec: nouvel essai au prochain flush (base peut-être indisponible)
+            retry.forEach(entry => this.requeued.add(entry));
+            this.buffer.unshift(...retry);
+            if (this.buffer.length > MAX_BUFFER_SIZE) {
+              this.dropped += this.buffer.length - MAX_BUFFER_SIZE;
+              this.buffer.length = MAX_BUFFER_SIZE;
+            }
+            break;
+          }
+        }
+      }
+
+      if (lastError) throw lastError;
+    })();
+
+    try {
+      await this.flushing;
+    } finally {
+      this.flushing = null;
+    }
+  }
+
+  /**
+   * Supprimer les entrées plus anciennes que la rétention
+   */
+  async purge(days = this.retentionDays) {
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - days);
+
+    const { count } = await prisma.usageLog.deleteMany({
+      where: { createdAt: { lt: cutoffDate } }
+    });
+
+    console.log(`🧹 UsageLog: ${count} entrées supprimées (plus de ${days} jours)`);
+    return count;
+  }
+
+  /**
+   * Obtenir le statut du journal
+   */
+  getStatus() {
+    return {
+      buffered: this.buffer.length,
+      dropped: this.dropped,
+      flushIntervalMs: this.flushIntervalMs,
+      batchSize: this.batchSize,
+      retentionDays: this.retentionDays
+    };
+  }
+}
+
+// Instance singleton
+export const usageLogger = new UsageLogger();
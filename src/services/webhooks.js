@@ -0,0 +1,307 @@
+// Envoi des webhooks utilisateurs
+// Chaque payload est signé: header X-Immo-Signature = "t=<timestamp>,v1=<hmac>"
+// où hmac = HMAC-SHA256(secret, "<timestamp>.<corps JSON>") en hexadécimal
+// Les adresses internes (loopback, réseaux privés, link-local, métadonnées cloud) sont refusées
+// à l'enregistrement et à chaque connexion, sauf WEBHOOK_ALLOW_PRIVATE_URLS=true (tests locaux)
+
+import axios from 'axios';
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { PrismaClient } from '@prisma/client';
+import { retry } from '../utils/helpers.js';
+
+const prisma = new PrismaClient();
+
+const SIGNATURE_HEADER = 'X-Immo-Signature';
+const SIGNATURE_TOLERANCE_SEC = 300;
+
+// Plages non routables sur Internet (RFC 6890) et adresses de métadonnées cloud
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Erreur levée quand l'URL d'un webhook est refusée
+ */
+export class WebhookUrlError extends Error {
+  constructor(message, { code = 'INVALID_WEBHOOK_URL' } = {}) {
+    super(message);
+    this.name = 'WebhookUrlError';
+    this.code = code;
+  }
+}
+
+/**
+ * Adresses internes autorisées (tests locaux uniquement)
+ */
+function allowPrivateUrls() {
+  return process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+}
+
+/**
+ * Adresse interne ou réservée (les IPv4 mappées en IPv6 sont vérifiées en IPv4)
+ */
+export function isBlockedAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isBlockedAddress(mapped[1]);
+
+  const version = net.isIP(address);
+  if (version === 0) return true;
+  return BLOCKED_RANGES.check(address, version === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Résolution DNS qui refuse les adresses internes
+ * Utilisée par les agents HTTP: l'adresse vérifiée est celle de la connexion (pas de DNS rebinding)
+ */
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (!allowPrivateUrls() && addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(new WebhookUrlError(`Adresse interne refusée pour ${hostname}`, {
+        code: 'WEBHOOK_URL_NOT_ALLOWED'
+      }));
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Générer un secret de signature
+ */
+export function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Signer un corps de requête
+ */
+export function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const hmac = crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${hmac}`;
+}
+
+/**
+ * Vérifier une signature reçue (côté récepteur)
+ * Format compatible Stripe: plusieurs v1 possibles pendant un changement de secret
+ */
+export function verifySignature(secret, header, body, toleranceSec = SIGNATURE_TOLERANCE_SEC) {
+  const parts = (header || '').split(',').map(part => part.trim().split('='));
+  const timestamp = parseInt(parts.find(([name]) => name === 't')?.[1]);
+  const signatures = parts.filter(([name, value]) => name === 'v1' && value).map(([, value]) => value);
+  if (!timestamp || signatures.length === 0) return false;
+
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSec) return false;
+
+  const expected = Buffer.from(signPayload(secret, body, timestamp).split('v1=')[1]);
+  return signatures.some(signature => {
+    const received = Buffer.from(signature);
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  });
+}
+
+/**
+ * Valider l'URL d'un webhook (http ou https uniquement)
+ */
+export function isValidWebhookUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Vérifier qu'une URL de webhook pointe vers une adresse publique
+ * Lève WebhookUrlError (INVALID_WEBHOOK_URL ou WEBHOOK_URL_NOT_ALLOWED)
+ */
+export async function assertPublicWebhookUrl(url) {
+  if (!isValidWebhookUrl(url)) {
+    throw new WebhookUrlError('URL de webhook invalide (http ou https attendu).');
+  }
+  if (allowPrivateUrls()) return;
+
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(hostname)
+      ? [{ address: hostname }]
+      : await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    throw new WebhookUrlError(`Hôte introuvable: ${hostname}`);
+  }
+
+  if (addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw new WebhookUrlError('Les webhooks vers des adresses internes ou réservées ne sont pas autorisés.', {
+      code: 'WEBHOOK_URL_NOT_ALLOWED'
+    });
+  }
+}
+
+/**
+ * URL refusée lors de l'envoi (vérification préalable ou connexion)
+ */
+function getRefusal(error) {
+  return [error, error.cause].find(err => err instanceof WebhookUrlError) || null;
+}
+
+/**
+ * Échec temporaire: réseau, délai dépassé, 408, 429 ou 5xx
+ * Les autres réponses 3xx/4xx sont définitives: pas de nouvelle tentative
+ */
+function isRetryableDelivery(error) {
+  if (getRefusal(error)) return false;
+
+  const status = error.response?.status;
+  if (!status) return true;
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Message d'erreur d'un envoi, sans le détail renvoyé par le destinataire
+ */
+function describeDeliveryError(error) {
+  const refused = getRefusal(error);
+  if (refused && refused.code === 'WEBHOOK_URL_NOT_ALLOWED') {
+    return 'Adresse de destination non autorisée';
+  }
+  if (error.response) {
+    return `Réponse HTTP ${error.response.status}`;
+  }
+  return 'Échec de la connexion au webhook';
+}
+
+/**
+ * Service d'envoi des webhooks
+ */
+export class WebhookService {
+  constructor() {
+    this.client = axios.create({
+      headers: { 'User-Agent': 'ImmoScraperAPI-Webhooks/1.0' },
+      httpAgent: new http.Agent({ lookup: guardedLookup }),
+      httpsAgent: new https.Agent({ lookup: guardedLookup }),
+      proxy: false
+    });
+  }
+
+  get timeoutMs() {
+    return parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 5000;
+  }
+
+  get maxRetries() {
+    return parseInt(process.env.WEBHOOK_MAX_RETRIES) || 3;
+  }
+
+  get retryDelayMs() {
+    return parseInt(process.env.WEBHOOK_RETRY_DELAY_MS) || 1000;
+  }
+
+  /**
+   * POST signé avec retries (backoff exponentiel) sur les échecs temporaires uniquement
+   * Retourne { attempts, responseStatus, error, duration }
+   */
+  async post(webhook, event, body, deliveryId) {
+    const startTime = Date.now();
+    let attempts = 0;
+    let responseStatus = null;
+
+    // Adresses littérales et hôtes déjà résolus vers une adresse interne: aucun envoi
+    try {
+      await assertPublicWebhookUrl(webhook.url);
+    } catch (error) {
+      return { attempts, responseStatus, error: describeDeliveryError(error), duration: Date.now() - startTime };
+    }
+
+    try {
+      await retry(async () => {
+        attempts++;
+        try {
+          const response = await this.client.post(webhook.url, body, {
+            timeout: this.timeoutMs,
+            headers: {
+              'Content-Type': 'application/json',
+              [SIGNATURE_HEADER]: signPayload(webhook.secret, body),
+              'X-Immo-Event': event,
+              'X-Immo-Delivery': deliveryId
+            },
+            // Le corps est déjà sérialisé: c'est lui qui est signé
+            transformRequest: [data => data],
+            maxRedirects: 0
+          });
+          responseStatus = response.status;
+        } catch (error) {
+          responseStatus = error.response ? error.response.status : null;
+          throw error;
+        }
+      }, this.maxRetries, this.retryDelayMs, isRetryableDelivery);
+
+      return { attempts, responseStatus, error: null, duration: Date.now() - startTime };
+    } catch (error) {
+      return { attempts, responseStatus, error: describeDeliveryError(error), duration: Date.now() - startTime };
+    }
+  }
+
+  /**
+   * Envoyer un évènement à un webhook et journaliser l'envoi
+   */
+  async deliver(webhook, event, data) {
+    const delivery = await prisma.webhookDelivery.create({
+      data: {
+        webhookId: webhook.id,
+        event,
+        payload: ''
+      }
+    });
+
+    const body = JSON.stringify({
+      id: delivery.id,
+      event,
+      createdAt: delivery.createdAt.toISOString(),
+      data
+    });
+
+    const result = await this.post(webhook, event, body, delivery.id);
+
+    return prisma.webhookDelivery.update({
+      where: { id: delivery.id },
+      data: {
+        payload: body,
+        status: result.error ? 'failed' : 'success',
+        attempts: result.attempts,
+        responseStatus: result.responseStatus,
+        error: result.error,
+        duration: result.duration,
+        deliveredAt: result.error ? null : new Date()
+      }
+    });
+  }
+
+  /**
+   * Envoyer un évènement de test
+   */
+  async sendTest(webhook) {
+    return this.deliver(webhook, 'webhook.test', {
+      message: 'Webhook de test Immo Scraper API'
+    });
+  }
+}
+
+// Instance singleton
+export const webhookService = new WebhookService();
@@ -40,6 +40,19 @@ export function calculatePricePerSqm(price, surface) {
   return Math.round(price / surface);
 }
 
+/**
+ * Distance entre deux points GPS en km (formule de Haversine)
+ */
+export function distanceKm(lat1, lon1, lat2, lon2) {
+  const toRad = deg => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
+            Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
 /**
  * Valider un code postal français
  */
@@ -93,8 +106,9 @@ export function sleep(ms) {
 
 /**
  * Retry une fonction avec backoff exponentiel
+ * shouldRetry(error): false pour une erreur définitive (levée sans nouvelle tentative)
  */
-export async function retry(fn, maxRetries = 3, baseDelay = 1000) {
+export async function retry(fn, maxRetries = 3, baseDelay = 1000, shouldRetry = () => true) {
   let lastError;
   
   for (let i = 0; i < maxRetries; i++) {
@@ -102,6 +116,7 @@ export async function retry(fn, maxRetries = 3, baseDelay = 1000) {
       return await fn();
     } catch (error) {
       lastError = error;
+      if (!shouldRetry(error)) break;
       if (i < maxRetries - 1) {
         const delay = baseDelay * Math.pow(2, i);
         await sleep(delay);
@@ -112,6 +127,66 @@ export async function retry(fn, maxRetries = 3, baseDelay = 1000) {
   throw lastError;
 }
 
+/**
+ * Découper une ligne CSV en champs (gère les guillemets doublés)
+ */
+export function parseCsvLine(line, delimiter = ',') {
+  const fields = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      fields.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  fields.push(current);
+  return fields;
+}
+
+/**
+ * Échapper une valeur pour un fichier CSV
+ * (les valeurs commençant par = + - @ sont préfixées pour les tableurs)
+ */
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  let str = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Générer un CSV à partir d'objets
+ * columns: [{ key, label }] ou liste de clés
+ */
+export function toCsv(rows, columns) {
+  const cols = columns.map(col => (typeof col === 'string' ? { key: col, label: col } : col));
+  const lines = [cols.map(col => csvValue(col.label)).join(',')];
+
+  for (const row of rows) {
+    lines.push(cols.map(col => csvValue(row[col.key])).join(','));
+  }
+
+  return lines.join('\r\n') + '\r\n';
+}
+
 /**
  * Tronquer un texte
  */